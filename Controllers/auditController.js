@@ -0,0 +1,107 @@
+const Order = require("../Models/order");
+const AuditEntry = require("../Models/auditEntry");
+const { sendError } = require("../Utils/httpError");
+const { canAccessOrder, isAdmin } = require("../Utils/orderPolicy");
+const { paginateWithCursor } = require("../Utils/cursorPagination");
+const { pageSize } = require("../Utils/orderQuery");
+
+/**
+ * @swagger
+ * /order/{id}/audit:
+ *   get:
+ *     summary: Browse the audit trail of an order
+ *     description: Every create, edit, status change, delete, restore and archival of the order, newest first, with the user who made it (or system for changes made by the service, such as payment and catalogue syncs), the route used and the fields that changed. Values are as stored, so amounts are in cents. Staff of the order's store and admins only; admins also see deleted orders.
+ *     tags:
+ *       - Orders
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         description: Opaque cursor from a previous nextCursor/prevCursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Order audit trail
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   enum: [200]
+ *                 message:
+ *                   type: string
+ *                   enum: [Order audit trail]
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           action:
+ *                             type: string
+ *                             enum: [created, updated, status_changed, deleted, restored, archived]
+ *                           actor:
+ *                             type: object
+ *                           route:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                           changes:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 field:
+ *                                   type: string
+ *                                 from: {}
+ *                                 to: {}
+ *                     pagination:
+ *                       type: object
+ *       '403':
+ *         description: Forbidden - Staff and admins only
+ *       '404':
+ *         description: Order not found
+ *       '500':
+ *         description: Internal Server Error - Failed to fetch audit trail
+ */
+exports.ReadOrderAudit = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).setOptions({
+      includeDeleted: isAdmin(req.user),
+    });
+    if (!order || !canAccessOrder(req.user, order)) {
+      return res
+        .status(404)
+        .json({ status: 404, message: "Order not found", data: {} });
+    }
+
+    const { docs, pagination } = await paginateWithCursor(
+      AuditEntry,
+      { orderId: order._id },
+      { cursor: req.query.cursor, limit: pageSize(req.query.limit) }
+    );
+
+    res.json({
+      status: 200,
+      message: "Order audit trail",
+      data: { entries: docs, pagination },
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching audit trail");
+  }
+};
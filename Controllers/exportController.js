@@ -0,0 +1,147 @@
+const Order = require("../Models/order");
+const { sendError } = require("../Utils/httpError");
+const { orderScope, deletedOptions } = require("../Utils/orderPolicy");
+const { buildOrderFilter, parseSort } = require("../Utils/orderQuery");
+const { writeCsv, writeXlsx } = require("../Utils/orderExport");
+const { writeInvoice } = require("../Utils/invoicePdf");
+
+const FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    write: writeCsv,
+  },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    write: writeXlsx,
+  },
+};
+
+// Once streaming started the status line is gone, so all we can do is abort.
+function failStream(res, error, fallbackMessage) {
+  if (!res.headersSent) return sendError(res, error, fallbackMessage);
+  console.error(error);
+  res.destroy(error);
+}
+
+/**
+ * @swagger
+ * /ExportOrders:
+ *   get:
+ *     summary: Export orders
+ *     description: Stream the orders matching the same filters as ReadOrders as a CSV or XLSX file.
+ *     tags:
+ *       - Orders
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         description: csv (default) or xlsx
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         description: Comma-separated list of statuses to filter by
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: storeId
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: createdFrom
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: createdTo
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Order list file
+ *         content:
+ *           text/csv: {}
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet: {}
+ *       '400':
+ *         description: Validation failed
+ *       '500':
+ *         description: Internal Server Error - Failed to export orders
+ */
+exports.ExportOrders = async (req, res) => {
+  const format = FORMATS[req.query.format];
+
+  try {
+    const filter = { ...buildOrderFilter(req.query), ...orderScope(req.user) };
+    const cursor = Order.find(filter)
+      .setOptions(deletedOptions(req.user, req.query))
+      .sort(parseSort(req.query.sort))
+      .cursor();
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", format.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="orders-${date}.${req.query.format}"`
+    );
+
+    await format.write(cursor, res);
+  } catch (error) {
+    failStream(res, error, "Error exporting orders");
+  }
+};
+
+/**
+ * @swagger
+ * /ReadOrderInvoice/{id}:
+ *   get:
+ *     summary: Get the invoice of an order
+ *     description: Generate a PDF invoice with the store, client, line items and total of an order.
+ *     tags:
+ *       - Orders
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the order
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Invoice PDF
+ *         content:
+ *           application/pdf: {}
+ *       '404':
+ *         description: Order not found
+ *       '500':
+ *         description: Internal Server Error - Failed to generate invoice
+ */
+exports.ReadOrderInvoice = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const order = await Order.findOne({
+      _id: id,
+      ...orderScope(req.user),
+    }).setOptions(deletedOptions(req.user, req.query));
+    if (!order) {
+      return res
+        .status(404)
+        .json({ status: 404, message: "Order not found", data: {} });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="invoice-${order.order_number}.pdf"`
+    );
+
+    writeInvoice(order, res);
+  } catch (error) {
+    failStream(res, error, "Error generating invoice");
+  }
+};
@@ -0,0 +1,172 @@
+const Order = require("../Models/order");
+const Notification = require("../Models/notification");
+const NotificationPreference = require("../Models/notificationPreference");
+const { HttpError, sendError } = require("../Utils/httpError");
+const { defaultLocale } = require("../Utils/notificationTemplates");
+const {
+  ROLES,
+  userId,
+  canAccessOrder,
+  isAdmin,
+} = require("../Utils/orderPolicy");
+
+// Clients manage their own preferences, admins anyone's.
+function assertCanManage(user, clientId) {
+  const own = Number(user.role) === ROLES.CLIENT && userId(user) === clientId;
+  if (!own && !isAdmin(user)) {
+    throw new HttpError(403, "You can only manage your own notifications");
+  }
+}
+
+function preferenceData(clientId, preference) {
+  return {
+    clientId,
+    email: preference ? preference.email : true,
+    sms: preference ? preference.sms : true,
+    locale: (preference && preference.locale) || defaultLocale(),
+  };
+}
+
+/**
+ * @swagger
+ * /order/notifications/preferences/{clientId}:
+ *   get:
+ *     summary: Read a client's notification preferences
+ *     description: Which channels the client gets order messages on and in which language. Clients without saved preferences get every channel in the default language. Clients can only read their own; admins anyone's.
+ *     tags:
+ *       - Notifications
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Notification preferences
+ *       '403':
+ *         description: Forbidden - Not the client's own preferences
+ *       '500':
+ *         description: Internal Server Error - Failed to fetch preferences
+ */
+exports.ReadNotificationPreferences = async (req, res) => {
+  const { clientId } = req.params;
+
+  try {
+    assertCanManage(req.user, clientId);
+    const preference = await NotificationPreference.findOne({ clientId });
+
+    res.json({
+      status: 200,
+      message: "Notification preferences",
+      data: { preferences: preferenceData(clientId, preference) },
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching notification preferences");
+  }
+};
+
+/**
+ * @swagger
+ * /order/notifications/preferences/{clientId}:
+ *   put:
+ *     summary: Change a client's notification preferences
+ *     description: Opt out of (or back into) order emails or SMS and choose the language messages are sent in. Only the fields sent are changed. Clients can only change their own; admins anyone's.
+ *     tags:
+ *       - Notifications
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: boolean
+ *               sms:
+ *                 type: boolean
+ *               locale:
+ *                 type: string
+ *                 enum: [pt, en]
+ *     responses:
+ *       '200':
+ *         description: Notification preferences updated
+ *       '403':
+ *         description: Forbidden - Not the client's own preferences
+ *       '500':
+ *         description: Internal Server Error - Failed to update preferences
+ */
+exports.UpdateNotificationPreferences = async (req, res) => {
+  const { clientId } = req.params;
+
+  try {
+    assertCanManage(req.user, clientId);
+    const preference = await NotificationPreference.findOneAndUpdate(
+      { clientId },
+      { $set: { ...req.body, updatedAt: new Date() } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      status: 200,
+      message: "Notification preferences updated",
+      data: { preferences: preferenceData(clientId, preference) },
+    });
+  } catch (error) {
+    sendError(res, error, "Error updating notification preferences");
+  }
+};
+
+/**
+ * @swagger
+ * /order/{id}/notifications:
+ *   get:
+ *     summary: List the messages sent about an order
+ *     description: Every email and SMS sent, being sent or that failed for the order, oldest first. Messages are "skipped" when no real transport is configured (NOTIFICATION_EMAIL_TRANSPORT / NOTIFICATION_SMS_TRANSPORT) and they were only written to the log. Staff of the order's store and admins only.
+ *     tags:
+ *       - Notifications
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Order notifications
+ *       '403':
+ *         description: Forbidden - Staff and admins only
+ *       '404':
+ *         description: Order not found
+ *       '500':
+ *         description: Internal Server Error - Failed to fetch notifications
+ */
+exports.ReadOrderNotifications = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).setOptions({
+      includeDeleted: isAdmin(req.user),
+    });
+    if (!order || !canAccessOrder(req.user, order)) {
+      return res
+        .status(404)
+        .json({ status: 404, message: "Order not found", data: {} });
+    }
+
+    const notifications = await Notification.find({ orderId: order._id }).sort({
+      createdAt: 1,
+    });
+    res.json({
+      status: 200,
+      message: "Order notifications",
+      data: { notifications },
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching notifications");
+  }
+};
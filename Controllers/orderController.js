@@ -1,7 +1,69 @@
 const { log } = require("console");
 const Order = require("../Models/order");
 const mongoose = require("mongoose");
-const { default: axios } = require("axios");
+const {
+  STATUSES,
+  OPEN_STATUSES,
+  EDITABLE_FIELDS,
+  isValidStatus,
+  parseStatusFilter,
+} = require("../Utils/orderStatus");
+const { nextOrderNumber } = require("../Utils/orderNumber");
+const { adjustStock } = require("../Utils/stock");
+const { placeOrder } = require("../Utils/placeOrderSaga");
+const { fetchClient, fetchStore } = require("../Utils/catalog");
+const { priceOrder } = require("../Utils/pricing");
+const { paginateWithCursor } = require("../Utils/cursorPagination");
+const { EVENTS, inTransaction, recordEvent } = require("../Utils/events");
+const { changeOrderStatus } = require("../Utils/orderTransitions");
+const { recordAudit, requestRoute } = require("../Utils/audit");
+const {
+  getSchedule,
+  bookAppointment,
+  releaseAppointment,
+} = require("../Utils/scheduling");
+const {
+  buildOrderFilter,
+  parseSort,
+  pageSize,
+} = require("../Utils/orderQuery");
+const { HttpError, sendError } = require("../Utils/httpError");
+const {
+  ROLES,
+  userId,
+  orderScope,
+  canAccessOrder,
+  deletedOptions,
+  assertCanCancel,
+} = require("../Utils/orderPolicy");
+
+// Builds the changedBy entry stored in statusHistory from the decoded token.
+function actorFromRequest(req) {
+  const user = req.user || {};
+  return { _id: userId(user), role: user.role };
+}
+
+// Appointments can be moved until the order is fulfilled or closed.
+const RESCHEDULABLE_STATUSES = ["pending", "confirmed", "paid"];
+
+// Cursor pagination is used when asked for explicitly or a cursor is passed.
+function usesCursor(query) {
+  return query.pagination === "cursor" || Boolean(query.cursor);
+}
+
+// Cursors are keyed on createdAt, so that's the only field they can sort by.
+function cursorSortAscending(sort) {
+  if (!sort || sort === "-createdAt") return false;
+  if (sort === "createdAt" || sort === "+createdAt") return true;
+  throw new HttpError(400, "Cursor pagination can only sort by createdAt");
+}
+
+// Clients may only place orders for themselves.
+function assertCanOrderFor(user, clientId) {
+  if (Number(user.role) === ROLES.CLIENT && userId(user) !== clientId) {
+    throw new HttpError(403, "Clients can only place their own orders");
+  }
+}
 
 /**
  * @swagger
@@ -21,9 +83,124 @@ const { default: axios } = require("axios");
  *       - in: query
  *         name: limit
  *         required: false
- *         description: Number of items per page
+ *         description: Number of items per page (default 20, max 100)
  *         schema:
  *           type: integer
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         description: Comma-separated list of statuses to filter by
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: storeId
+ *         required: false
+ *         description: Only orders of this store
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: clientId
+ *         required: false
+ *         description: Only orders of this client
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: paymentType
+ *         required: false
+ *         description: Only orders with this payment type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: productId
+ *         required: false
+ *         description: Only orders containing this product
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: serviceId
+ *         required: false
+ *         description: Only orders containing this service
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: createdFrom
+ *         required: false
+ *         description: Orders created on or after this date (ISO 8601)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: createdTo
+ *         required: false
+ *         description: Orders created on or before this date (ISO 8601)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: appointmentFrom
+ *         required: false
+ *         description: Appointments on or after this date (ISO 8601)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: appointmentTo
+ *         required: false
+ *         description: Appointments on or before this date (ISO 8601)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minTotal
+ *         required: false
+ *         description: Minimum order total
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxTotal
+ *         required: false
+ *         description: Maximum order total
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: q
+ *         required: false
+ *         description: Search client name, client email and order number
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: flagged
+ *         required: false
+ *         description: Only orders with (true) or without (false) unresolved flags such as repriced or discontinued items
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: pagination
+ *         required: false
+ *         description: offset (default) or cursor
+ *         schema:
+ *           type: string
+ *           enum: [offset, cursor]
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         description: Opaque cursor from a previous nextCursor/prevCursor, implies cursor pagination
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeTotal
+ *         required: false
+ *         description: Whether to count all matching orders (default true for offset, false for cursor pagination)
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         description: Comma-separated sort fields, prefix with - for descending (default -createdAt)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeDeleted
+ *         required: false
+ *         description: Also return deleted orders (admins only)
+ *         schema:
+ *           type: boolean
  *     responses:
  *       '200':
  *         description: List of orders
@@ -45,33 +222,63 @@ const { default: axios } = require("axios");
  *                 pagination:
  *                   type: object
  *                   properties:
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                     prevCursor:
+ *                       type: string
+ *                       nullable: true
  *                     currentPage:
  *                       type: number
  *                     totalPages:
  *                       type: number
  *                     totalOrders:
  *                       type: number
+ *       '400':
+ *         description: Invalid status filter
  *       '500':
  *         description: Internal Server Error - Failed to fetch orders
  */
 exports.ReadOrders = async (req, res) => {
   const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || Number.MAX_SAFE_INTEGER;
+  const limit = pageSize(req.query.limit);
   const startIndex = (page - 1) * limit;
 
   try {
-    const orders = await Order.find().skip(startIndex).limit(limit);
-    const totalOrders = await Order.countDocuments();
+    // The caller's scope wins over any client or store filter they pass
+    const filter = { ...buildOrderFilter(req.query), ...orderScope(req.user) };
+    const queryOptions = deletedOptions(req.user, req.query);
+
+    if (usesCursor(req.query)) {
+      const { docs, pagination } = await paginateWithCursor(Order, filter, {
+        cursor: req.query.cursor,
+        limit,
+        ascending: cursorSortAscending(req.query.sort),
+        includeTotal: req.query.includeTotal === true,
+        queryOptions,
+      });
+      return res.json({ status: "success", orders: docs, pagination });
+    }
 
-    const pagination = {
-      currentPage: page,
-      totalPages: Math.ceil(totalOrders / limit),
-      totalOrders: totalOrders,
-    };
+    const sort = parseSort(req.query.sort);
+    const orders = await Order.find(filter)
+      .setOptions(queryOptions)
+      .sort(sort)
+      .skip(startIndex)
+      .limit(limit);
+
+    const pagination = { currentPage: page };
+    if (req.query.includeTotal !== false) {
+      const totalOrders = await Order.countDocuments(filter).setOptions(
+        queryOptions
+      );
+      pagination.totalPages = Math.ceil(totalOrders / limit);
+      pagination.totalOrders = totalOrders;
+    }
 
     res.json({ status: "success", orders: orders, pagination: pagination });
   } catch (error) {
-    res.status(500).json({ status: "error", message: error.message });
+    sendError(res, error, "Error fetching orders");
   }
 };
 
@@ -90,6 +297,12 @@ exports.ReadOrders = async (req, res) => {
  *         description: ID of the order to retrieve
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: includeDeleted
+ *         required: false
+ *         description: Also find the order if it was deleted (admins only)
+ *         schema:
+ *           type: boolean
  *     responses:
  *       '200':
  *         description: Order details
@@ -126,23 +339,67 @@ exports.ReadOrders = async (req, res) => {
 exports.ReadOrder = async (req, res) => {
   const { id } = req.params;
 
-  console.log(id);
-
   if (!mongoose.Types.ObjectId.isValid(id)) {
-    return res.status(400).json({ msg: "Invalid order ID" });
+    return res
+      .status(400)
+      .json({ status: 400, message: "Invalid order ID", data: {} });
   }
 
   try {
-    const order = await Order.findById(id);
+    const order = await Order.findOne({
+      _id: id,
+      ...orderScope(req.user),
+    }).setOptions(deletedOptions(req.user, req.query));
     if (!order) {
-      return res.status(404).json({ msg: "Order not found" });
+      return res
+        .status(404)
+        .json({ status: 404, message: "Order not found", data: {} });
     }
     res.json({ status: "success", order: order });
   } catch (error) {
-    console.error(error);
-    res
-      .status(500)
-      .json({ status: 500, message: "Error fetching order", data: {} });
+    sendError(res, error, "Error fetching order");
+  }
+};
+
+/**
+ * @swagger
+ * /ReadOrderByNumber/{orderNumber}:
+ *   get:
+ *     summary: Get order by order number
+ *     description: Retrieve an order by its human-readable order number (e.g. LIS-2026-000123).
+ *     tags:
+ *       - Orders
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         description: Order number of the order to retrieve
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Order details
+ *       '404':
+ *         description: Order not found
+ *       '500':
+ *         description: Internal Server Error - Failed to fetch order
+ */
+exports.ReadOrderByNumber = async (req, res) => {
+  const { orderNumber } = req.params;
+
+  try {
+    const order = await Order.findOne({
+      order_number: orderNumber,
+      ...orderScope(req.user),
+    }).setOptions(deletedOptions(req.user, req.query));
+    if (!order) {
+      return res
+        .status(404)
+        .json({ status: 404, message: "Order not found", data: {} });
+    }
+    res.json({ status: 200, message: "Order", data: { order } });
+  } catch (error) {
+    sendError(res, error, "Error fetching order");
   }
 };
 
@@ -151,7 +408,7 @@ exports.ReadOrder = async (req, res) => {
  * /CreateOrder:
  *   post:
  *     summary: Create a new order
- *     description: Create a new order with the provided items.
+ *     description: Create a new order with the provided items. Active promotions are applied automatically and a couponCode can be sent for an extra discount; the order stores its subtotal, discount, tax and total, and each line its own discount and VAT. Catalogue prices include VAT, so total is subtotal minus discount and tax is the VAT contained in it.
  *     tags:
  *       - Orders
  *     requestBody:
@@ -177,6 +434,33 @@ exports.ReadOrder = async (req, res) => {
  *                   enum: [Order created]
  *                 data:
  *                   $ref: '#/components/schemas/OrderWithStocks'
+ *       '400':
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   enum: [400]
+ *                 message:
+ *                   type: string
+ *                   enum: [Validation failed]
+ *                 data: {}
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       location:
+ *                         type: string
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       '422':
+ *         description: Client, store or items could not be used for the order
  *       '500':
  *         description: Internal Server Error - Failed to create order
  *         content:
@@ -202,119 +486,43 @@ exports.createOrder = async (req, res) => {
       !Array.isArray(req.body.items) ||
       req.body.items.length === 0
     ) {
-      throw new Error("Items array is required and must not be empty");
+      throw new HttpError(400, "Items array is required and must not be empty");
     }
 
     if (!req.body.clientId || !req.body.storeId) {
-      throw new Error("Client ID and Store ID are required");
+      throw new HttpError(400, "Client ID and Store ID are required");
     }
 
-    // Fetch client and store details
-    const clientResponse = await axios.get(
-      `http://${process.env.AUTH_URI}:8081/user/${req.body.clientId}`,
-      { headers: { Authorization: token } }
-    );
-    const storeResponse = await axios.get(
-      `http://${process.env.STORES_URI}:8086/stores/${req.body.storeId}`,
-      { headers: { Authorization: token } }
-    );
+    assertCanOrderFor(req.user, req.body.clientId);
 
-    const client = clientResponse.data;
-    const store = storeResponse.data.store;
+    // Fetch client and store details
+    const [client, store] = await Promise.all([
+      fetchClient(req.body.clientId, token),
+      fetchStore(req.body.storeId, token),
+    ]);
 
     // Check if client and store data are correctly fetched
     if (!client || !store) {
-      throw new Error("Failed to fetch client or store data");
+      throw new HttpError(422, "Client or store not found");
     }
 
-    // Initialize total
-    let total = 0;
-
-    // Fetch item details and calculate total
-    const itemDetailsPromises = req.body.items.map(async (item) => {
-      const { productId, serviceId, quantity } = item;
-      let name = "";
-      let price = 0;
-
-      if (productId) {
-        const productResponse = await axios.get(
-          `http://${process.env.PRODUCTS_URI}:8083/product/${productId}`,
-          {
-            headers: {
-              Authorization: token,
-            },
-          }
-        );
-        const product = productResponse.data.product;
-        name = product.name;
-        price = product.price;
-
-        // Validate price and quantity
-        if (typeof price !== "number" || isNaN(price)) {
-          throw new Error(
-            `Invalid price for product: ${JSON.stringify(product)}`
-          );
-        }
-        if (typeof quantity !== "number" || isNaN(quantity) || quantity <= 0) {
-          throw new Error(
-            `Invalid quantity for product: ${JSON.stringify(item)}`
-          );
-        }
-
-        total += price * quantity;
-      } else if (serviceId) {
-        const serviceResponse = await axios.get(
-          `http://${process.env.SERVICES_URI}:8084/service/${serviceId}`,
-          {
-            headers: {
-              Authorization: token,
-            },
-          }
-        );
-        const service = serviceResponse.data.service;
-        name = service.name;
-        price = service.price;
-
-        // Validate price
-        if (typeof price !== "number" || isNaN(price)) {
-          throw new Error(
-            `Invalid price for service: ${JSON.stringify(service)}`
-          );
-        }
-
-        total += price;
-      } else {
-        throw new Error("Invalid item in the order");
-      }
-
-      return {
-        productId,
-        serviceId,
-        quantity,
-        name,
-        price,
-      };
-    });
-
-    const itemsWithDetails = await Promise.all(itemDetailsPromises);
-
-    // Log the calculated total
-    console.log("Calculated total:", total);
-
-    // Check if total is a valid number
-    if (isNaN(total)) {
-      throw new Error("Total calculation resulted in NaN");
-    }
+    // Fetch item details and work out discounts, tax and total
+    const pricing = await priceOrder(
+      req.body.items,
+      {
+        storeId: store._id,
+        clientId: req.body.clientId,
+        couponCode: req.body.couponCode,
+      },
+      token
+    );
 
-    // Get the current number of orders and increment it
-    const orderCount = await Order.countDocuments();
-    const orderNumber = orderCount + 1;
+    const orderNumber = await nextOrderNumber(store);
 
     // Create new order with calculated total and client/store details
     const newOrder = new Order({
       ...req.body,
-      items: itemsWithDetails,
-      total,
+      ...pricing,
       client: {
         _id: req.body.clientId,
         name: client.name,
@@ -327,9 +535,18 @@ exports.createOrder = async (req, res) => {
         address: store.address,
       },
       order_number: orderNumber,
+      status: "pending",
+      statusHistory: [{ to: "pending", changedBy: actorFromRequest(req) }],
+      stockReserved: true,
     });
 
-    const savedOrder = await newOrder.save();
+    // Reserve stock and save, rolling back the reservation if a step fails
+    const savedOrder = await placeOrder(
+      newOrder,
+      token,
+      actorFromRequest(req),
+      requestRoute(req)
+    );
 
     res.json({
       status: 200,
@@ -337,10 +554,7 @@ exports.createOrder = async (req, res) => {
       data: { order: savedOrder },
     });
   } catch (error) {
-    console.error(error);
-    res
-      .status(500)
-      .json({ status: 500, message: "Error creating order", data: {} });
+    sendError(res, error, "Error creating order");
   }
 };
 
@@ -354,89 +568,42 @@ exports.createOrderService = async (req, res) => {
       !Array.isArray(req.body.items) ||
       req.body.items.length === 0
     ) {
-      throw new Error("Items array is required and must not be empty");
+      throw new HttpError(400, "Items array is required and must not be empty");
     }
 
     if (!req.body.clientId || !req.body.storeId) {
-      throw new Error("Client ID and Store ID are required");
+      throw new HttpError(400, "Client ID and Store ID are required");
     }
 
-    // Fetch client and store details
-    const clientResponse = await axios.get(
-      `http://${process.env.AUTH_URI}:8081/user/${req.body.clientId}`,
-      { headers: { Authorization: token } }
-    );
-    const storeResponse = await axios.get(
-      `http://${process.env.STORES_URI}:8086/stores/${req.body.storeId}`,
-      { headers: { Authorization: token } }
-    );
+    assertCanOrderFor(req.user, req.body.clientId);
 
-    const client = clientResponse.data;
-    const store = storeResponse.data.store;
+    // Fetch client and store details
+    const [client, store] = await Promise.all([
+      fetchClient(req.body.clientId, token),
+      fetchStore(req.body.storeId, token),
+    ]);
 
     // Check if client and store data are correctly fetched
     if (!client || !store) {
-      throw new Error("Failed to fetch client or store data");
+      throw new HttpError(422, "Client or store not found");
     }
 
-    // Initialize total
-    let total = 0;
-
-    // Fetch item details and calculate total
-    const itemDetailsPromises = req.body.items.map(async (item) => {
-      const { serviceId } = item;
-      let name = "";
-      let price = 0;
-
-      if (serviceId) {
-        const serviceResponse = await axios.get(
-          `http://${process.env.SERVICES_URI}:8084/service/${serviceId}`,
-          {
-            headers: {
-              Authorization: token,
-            },
-          }
-        );
-        const service = serviceResponse.data.service;
-        name = service.name;
-        price = service.price;
-
-        // Validate price
-        if (typeof price !== "number" || isNaN(price)) {
-          throw new Error(
-            `Invalid price for service: ${JSON.stringify(service)}`
-          );
-        }
-
-        total += price;
-      } else {
-        throw new Error("Invalid item in the order");
-      }
-
-      return {
-        serviceId,
-        name,
-        price,
-      };
-    });
-
-    const itemsWithDetails = await Promise.all(itemDetailsPromises);
-
-    // Log the calculated total
-    console.log("Calculated total:", total);
-
-    // Check if total is a valid number
-    if (isNaN(total)) {
-      throw new Error("Total calculation resulted in NaN");
-    }
+    // Fetch item details and work out discounts, tax and total
+    const pricing = await priceOrder(
+      req.body.items,
+      {
+        storeId: store._id,
+        clientId: req.body.clientId,
+        couponCode: req.body.couponCode,
+      },
+      token
+    );
 
-    const orderCount = await Order.countDocuments();
-    const orderNumber = orderCount + 1;
+    const orderNumber = await nextOrderNumber(store);
 
     // Create new order
     const newOrder = new Order({
-      items: itemsWithDetails,
-      total: total,
+      ...pricing,
       client: {
         _id: client._id,
         name: client.name,
@@ -452,9 +619,17 @@ exports.createOrderService = async (req, res) => {
       appointmentDate: req.body.appointmentDate,
       location: req.body.location,
       order_number: orderNumber,
+      status: "pending",
+      statusHistory: [{ to: "pending", changedBy: actorFromRequest(req) }],
     });
 
-    const savedOrder = await newOrder.save();
+    // Book the appointment and save, giving the slot back if a step fails
+    const savedOrder = await placeOrder(
+      newOrder,
+      token,
+      actorFromRequest(req),
+      requestRoute(req)
+    );
 
     res.json({
       status: 200,
@@ -462,10 +637,7 @@ exports.createOrderService = async (req, res) => {
       data: { order: savedOrder },
     });
   } catch (error) {
-    console.error(error);
-    res
-      .status(500)
-      .json({ status: 500, message: "Error creating order", data: {} });
+    sendError(res, error, "Error creating order");
   }
 };
 
@@ -474,7 +646,7 @@ exports.createOrderService = async (req, res) => {
  * /EditOrder/{id}:
  *   put:
  *     summary: Update an existing order
- *     description: Update an existing order with the provided data.
+ *     description: Update the editable fields of an order. Pending orders accept items, paymentType and location; confirmed and paid orders only location; closed orders nothing. Items are re-priced and the total recomputed server-side. Use RescheduleOrder to move an appointment.
  *     tags:
  *       - Orders
  *     parameters:
@@ -521,6 +693,10 @@ exports.createOrderService = async (req, res) => {
  *                   type: string
  *                   enum: [Order not found]
  *                 data: {}
+ *       '409':
+ *         description: Order status changed while it was being edited
+ *       '422':
+ *         description: One or more fields can't be changed in the order's current status
  *       '500':
  *         description: Internal Server Error - Failed to update order
  *         content:
@@ -548,52 +724,133 @@ exports.editOrder = async (req, res) => {
 
     const existingOrder = await Order.findById(id);
 
-    if (!existingOrder) {
+    if (!existingOrder || !canAccessOrder(req.user, existingOrder)) {
       return res
         .status(404)
         .json({ status: 404, message: "Order not found", data: {} });
     }
 
-    const updatedOrder = await Order.findByIdAndUpdate(id, req.body, {
-      new: true,
-    });
-
+    const changes = req.body;
     const token = req.headers.authorization;
-    const updateStockPromises = req.body.items.map(async (item) => {
-      const quantityUsed = item.quantity || 1;
-      const { productId, serviceId } = item;
-      try {
-        if (productId) {
-          const stock = await axios.put(
-            `http://${process.env.PRODUCTS_URI}:8083/stock/${productId}`,
-            {
-              newQuantity: quantityUsed,
-            },
-            {
-              headers: {
-                Authorization: token,
-              },
-            }
-          );
-          return stock.data;
-        } else if (serviceId) {
-          const service = await axios.get(
-            `http://${process.env.SERVICES_URI}:8084/service/${serviceId}`
+
+    const editable = EDITABLE_FIELDS[existingOrder.status] || [];
+    const forbidden = Object.keys(changes).filter(
+      (field) => !editable.includes(field)
+    );
+    if (forbidden.length > 0) {
+      throw new HttpError(
+        422,
+        `Order can't be edited this way while ${existingOrder.status}`,
+        forbidden.map((field) => ({
+          location: "body",
+          field,
+          message: `${field} can't be changed while the order is ${existingOrder.status}`,
+        }))
+      );
+    }
+
+    // Items are re-priced from the catalogue and the totals recomputed,
+    // keeping the coupon the order was placed with
+    if (changes.items) {
+      const priced = await priceOrder(
+        changes.items,
+        {
+          storeId: existingOrder.store._id,
+          clientId: existingOrder.client._id,
+          coupon: existingOrder.coupon.code ? existingOrder.coupon : undefined,
+        },
+        token
+      );
+      changes.items = priced.items;
+      changes.subtotal = priced.subtotal;
+      changes.discount = priced.discount;
+      changes.tax = priced.tax;
+      changes.total = priced.total;
+      changes.coupon = priced.coupon;
+      changes.promotions = priced.promotions;
+      // The new amounts are in cents; orders from before the money
+      // migration have no currency and would be read as major units
+      changes.currency = priced.currency;
+
+      // Re-pricing settles any repriced or discontinued item flags
+      const now = new Date();
+      changes.flags = existingOrder.flags.map((flag) =>
+        !flag.resolvedAt &&
+        ["item_repriced", "item_discontinued"].includes(flag.type)
+          ? { ...flag.toObject(), resolvedAt: now }
+          : flag
+      );
+    }
+
+    // Different services may need a longer or shorter appointment
+    let schedule = null;
+    if (changes.items && existingOrder.appointmentDate) {
+      schedule = await getSchedule(existingOrder.store._id);
+      changes.appointmentEnd = await bookAppointment(
+        { ...existingOrder.toObject(), items: changes.items },
+        schedule
+      );
+    }
+
+    // Only move the difference in product quantities for reserved orders
+    let updatedStocks = [];
+    if (changes.items && existingOrder.stockReserved) {
+      updatedStocks = await adjustStock(
+        existingOrder.items,
+        changes.items,
+        token
+      );
+    }
+
+    // Refuse the update if the status changed since the order was loaded
+    let updatedOrder;
+    try {
+      updatedOrder = await inTransaction(async (session) => {
+        const order = await Order.findOneAndUpdate(
+          { _id: id, status: existingOrder.status },
+          { $set: changes },
+          { new: true, runValidators: true, session }
+        );
+        if (!order) {
+          throw new HttpError(
+            409,
+            "Order status was changed by another request"
           );
-          if (!service.data || !service.data.service) {
-            throw new Error("Service not found");
-          }
-          return service.data.service;
-        } else {
-          throw new Error("Invalid item in the order");
         }
-      } catch (error) {
-        console.error(error);
-        throw new Error("Error updating products stock");
-      }
-    });
 
-    const updatedStocks = await Promise.all(updateStockPromises);
+        const previous = {};
+        for (const field of Object.keys(changes)) {
+          previous[field] = existingOrder.get(field);
+        }
+        await recordEvent(
+          EVENTS.ORDER_UPDATED,
+          order,
+          { changes, previous, actor: actorFromRequest(req) },
+          session
+        );
+        await recordAudit(
+          "updated",
+          {
+            before: existingOrder,
+            after: order,
+            actor: actorFromRequest(req),
+            route: requestRoute(req),
+          },
+          session
+        );
+        return order;
+      });
+    } catch (error) {
+      if (updatedStocks.length > 0) {
+        await adjustStock(changes.items, existingOrder.items, token);
+      }
+      if (schedule) {
+        await bookAppointment(existingOrder.toObject(), schedule, {
+          restore: true,
+        });
+      }
+      throw error;
+    }
 
     res.json({
       status: 200,
@@ -601,10 +858,287 @@ exports.editOrder = async (req, res) => {
       data: { order: updatedOrder, stocks: updatedStocks },
     });
   } catch (error) {
-    console.error(error);
-    res
-      .status(500)
-      .json({ status: 500, message: "Error updating order", data: {} });
+    sendError(res, error, "Error updating order");
+  }
+};
+
+/**
+ * @swagger
+ * /UpdateOrderStatus/{id}:
+ *   put:
+ *     summary: Change the status of an order
+ *     description: Move an order to a new status. Only transitions allowed by the order lifecycle are accepted and every change is recorded in statusHistory.
+ *     tags:
+ *       - Orders
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the order to update
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, confirmed, paid, fulfilled, cancelled, refunded]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Order status updated
+ *       '400':
+ *         description: Invalid order ID or status
+ *       '404':
+ *         description: Order not found
+ *       '409':
+ *         description: Transition not allowed from the current status
+ *       '500':
+ *         description: Internal Server Error - Failed to update order status
+ */
+exports.UpdateOrderStatus = async (req, res) => {
+  const { id } = req.params;
+  const { status, note } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res
+      .status(400)
+      .json({ status: 400, message: "Invalid order ID", data: {} });
+  }
+
+  if (!isValidStatus(status)) {
+    return res.status(400).json({
+      status: 400,
+      message: `Status must be one of: ${STATUSES.join(", ")}`,
+      data: {},
+    });
+  }
+
+  try {
+    const order = await Order.findById(id);
+    if (!order || !canAccessOrder(req.user, order)) {
+      return res
+        .status(404)
+        .json({ status: 404, message: "Order not found", data: {} });
+    }
+
+    const updatedOrder = await changeOrderStatus(order, status, {
+      actor: actorFromRequest(req),
+      note,
+      token: req.headers.authorization,
+      route: requestRoute(req),
+    });
+
+    res.json({
+      status: 200,
+      message: "Order status updated",
+      data: { order: updatedOrder },
+    });
+  } catch (error) {
+    sendError(res, error, "Error updating order status");
+  }
+};
+
+/**
+ * @swagger
+ * /order/{id}/cancel:
+ *   post:
+ *     summary: Cancel an order
+ *     description: Cancel a pending or confirmed order, giving back its stock, appointment slot and coupon, voiding payments in progress and refunding what was already captured. Clients can cancel their own orders within CLIENT_CANCEL_WINDOW_MINUTES of placing them (24 hours by default) and before the appointment starts; staff and admins at any time. Paid orders are refunded instead.
+ *     tags:
+ *       - Orders
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the order to cancel
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Order cancelled
+ *       '403':
+ *         description: The time to cancel the order has passed
+ *       '404':
+ *         description: Order not found
+ *       '409':
+ *         description: Order is no longer pending or confirmed
+ *       '500':
+ *         description: Internal Server Error - Failed to cancel order
+ */
+exports.CancelOrder = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order || !canAccessOrder(req.user, order)) {
+      return res
+        .status(404)
+        .json({ status: 404, message: "Order not found", data: {} });
+    }
+
+    if (!OPEN_STATUSES.includes(order.status)) {
+      throw new HttpError(
+        409,
+        `Orders that are ${order.status} can't be cancelled`
+      );
+    }
+    assertCanCancel(req.user, order);
+
+    const cancelledOrder = await changeOrderStatus(order, "cancelled", {
+      actor: actorFromRequest(req),
+      note: req.body.reason || "Cancelled by request",
+      token: req.headers.authorization,
+      route: requestRoute(req),
+    });
+
+    res.json({
+      status: 200,
+      message: "Order cancelled",
+      data: { order: cancelledOrder },
+    });
+  } catch (error) {
+    sendError(res, error, "Error cancelling order");
+  }
+};
+
+/**
+ * @swagger
+ * /RescheduleOrder/{id}:
+ *   post:
+ *     summary: Reschedule the appointment of an order
+ *     description: Move a service order to a new appointment date. The new slot must be within the store's opening hours and have free capacity; the previous slot is only released once the new one is booked.
+ *     tags:
+ *       - Orders
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the order to reschedule
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               appointmentDate:
+ *                 type: string
+ *                 format: date-time
+ *               location:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Order rescheduled
+ *       '404':
+ *         description: Order not found
+ *       '409':
+ *         description: The requested slot is fully booked or the order can no longer be rescheduled
+ *       '422':
+ *         description: The requested time is outside the store's opening hours or the order has no services
+ *       '500':
+ *         description: Internal Server Error - Failed to reschedule order
+ */
+exports.RescheduleOrder = async (req, res) => {
+  const { id } = req.params;
+  const { appointmentDate, location } = req.body;
+
+  try {
+    const order = await Order.findById(id);
+    if (!order || !canAccessOrder(req.user, order)) {
+      return res
+        .status(404)
+        .json({ status: 404, message: "Order not found", data: {} });
+    }
+
+    if (!RESCHEDULABLE_STATUSES.includes(order.status)) {
+      throw new HttpError(
+        409,
+        `Orders can't be rescheduled while ${order.status}`
+      );
+    }
+    if (!order.items.some((item) => item.serviceId)) {
+      throw new HttpError(422, "Only orders with services can be rescheduled");
+    }
+
+    const schedule = await getSchedule(order.store._id);
+    const changes = { appointmentDate };
+    if (location !== undefined) changes.location = location;
+    changes.appointmentEnd = await bookAppointment(
+      { ...order.toObject(), appointmentDate },
+      schedule
+    );
+
+    let updatedOrder;
+    try {
+      updatedOrder = await inTransaction(async (session) => {
+        const updated = await Order.findOneAndUpdate(
+          { _id: id, status: order.status },
+          { $set: changes },
+          { new: true, session }
+        );
+        if (!updated) {
+          throw new HttpError(
+            409,
+            "Order status was changed by another request"
+          );
+        }
+        await recordEvent(
+          EVENTS.ORDER_UPDATED,
+          updated,
+          {
+            changes,
+            previous: {
+              appointmentDate: order.appointmentDate,
+              appointmentEnd: order.appointmentEnd,
+              location: order.location,
+            },
+            actor: actorFromRequest(req),
+          },
+          session
+        );
+        await recordAudit(
+          "updated",
+          {
+            before: order,
+            after: updated,
+            actor: actorFromRequest(req),
+            route: requestRoute(req),
+          },
+          session
+        );
+        return updated;
+      });
+    } catch (error) {
+      // Put the order back in its previous slot
+      if (order.appointmentDate) {
+        await bookAppointment(order.toObject(), schedule, { restore: true });
+      } else {
+        await releaseAppointment(order._id);
+      }
+      throw error;
+    }
+
+    res.json({
+      status: 200,
+      message: "Order rescheduled",
+      data: { order: updatedOrder },
+    });
+  } catch (error) {
+    sendError(res, error, "Error rescheduling order");
   }
 };
 
@@ -613,7 +1147,7 @@ exports.editOrder = async (req, res) => {
  * /RemoveOrder:
  *   delete:
  *     summary: Delete an existing order
- *     description: Delete an existing order by ID.
+ *     description: Soft-delete an order. The order is kept as a financial record but hidden from every read unless an admin passes includeDeleted, and can be brought back with RestoreOrder. Pending and confirmed orders are cancelled first, giving back their stock, appointment slot and coupon. Admins only.
  *     tags:
  *       - Orders
  *     parameters:
@@ -685,42 +1219,175 @@ exports.RemoveOrder = async (req, res) => {
         .json({ status: 404, message: "Order not found", data: {} });
     }
 
-    await Order.deleteOne({ _id: id });
+    // Open orders are cancelled so they give back what they hold; closed
+    // ones only free their appointment slot
+    let current = order;
+    if (OPEN_STATUSES.includes(order.status)) {
+      current = await changeOrderStatus(order, "cancelled", {
+        actor: actorFromRequest(req),
+        note: "Order deleted",
+        token: req.headers.authorization,
+        route: requestRoute(req),
+      });
+    } else {
+      await releaseAppointment(order._id);
+    }
+
+    const deletedOrder = await inTransaction(async (session) => {
+      const deleted = await Order.findOneAndUpdate(
+        { _id: id, deletedAt: null },
+        { $set: { deletedAt: new Date(), deletedBy: actorFromRequest(req) } },
+        { new: true, session }
+      );
+      if (!deleted) {
+        throw new HttpError(404, "Order not found");
+      }
+      await recordEvent(
+        EVENTS.ORDER_DELETED,
+        deleted,
+        { actor: actorFromRequest(req) },
+        session
+      );
+      await recordAudit(
+        "deleted",
+        {
+          before: current,
+          after: deleted,
+          actor: actorFromRequest(req),
+          route: requestRoute(req),
+        },
+        session
+      );
+      return deleted;
+    });
+
     res.json({
       status: 200,
       message: "Order deleted successfully",
-      data: order,
+      data: deletedOrder,
+    });
+  } catch (error) {
+    sendError(res, error, "Error deleting order");
+  }
+};
+
+/**
+ * @swagger
+ * /RestoreOrder/{id}:
+ *   post:
+ *     summary: Restore a deleted order
+ *     description: Bring back a soft-deleted order. Orders that were cancelled when deleted stay cancelled and appointments aren't booked again. Admins only.
+ *     tags:
+ *       - Orders
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Order restored
+ *       '403':
+ *         description: Forbidden - Admins only
+ *       '404':
+ *         description: No deleted order with this ID
+ *       '409':
+ *         description: Order was changed by another request
+ *       '500':
+ *         description: Internal Server Error - Failed to restore order
+ */
+exports.RestoreOrder = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const deleted = await Order.findOne({
+      _id: id,
+      deletedAt: { $ne: null },
     });
+    if (!deleted) {
+      return res
+        .status(404)
+        .json({ status: 404, message: "Deleted order not found", data: {} });
+    }
+
+    const order = await inTransaction(async (session) => {
+      const restored = await Order.findOneAndUpdate(
+        { _id: id, deletedAt: deleted.deletedAt },
+        { $set: { deletedAt: null }, $unset: { deletedBy: 1 } },
+        { new: true, session }
+      );
+      if (!restored) {
+        throw new HttpError(409, "Order was changed by another request");
+      }
+      await recordEvent(
+        EVENTS.ORDER_RESTORED,
+        restored,
+        { actor: actorFromRequest(req) },
+        session
+      );
+      await recordAudit(
+        "restored",
+        {
+          before: deleted,
+          after: restored,
+          actor: actorFromRequest(req),
+          route: requestRoute(req),
+        },
+        session
+      );
+      return restored;
+    });
+
+    res.json({ status: 200, message: "Order restored", data: { order } });
   } catch (error) {
-    console.error(error);
-    res
-      .status(500)
-      .json({ status: 500, message: "Error deleting order", data: {} });
+    sendError(res, error, "Error restoring order");
   }
 };
 
 exports.ReadClientOrders = async (req, res) => {
   const { clientId } = req.params;
+
   try {
-    const orders = await Order.find({ "client._id": clientId });
+    if (
+      Number(req.user.role) === ROLES.CLIENT &&
+      userId(req.user) !== clientId
+    ) {
+      throw new HttpError(403, "Clients can only see their own orders");
+    }
+
+    const statuses = parseStatusFilter(req.query.status);
+    const filter = { ...orderScope(req.user), "client._id": clientId };
+    if (statuses) filter.status = { $in: statuses };
+    const queryOptions = deletedOptions(req.user, req.query);
+
+    if (usesCursor(req.query)) {
+      const { docs, pagination } = await paginateWithCursor(Order, filter, {
+        cursor: req.query.cursor,
+        limit: pageSize(req.query.limit),
+        ascending: cursorSortAscending(req.query.sort),
+        includeTotal: req.query.includeTotal === true,
+        queryOptions,
+      });
+      return res.json({ status: "success", orders: docs, pagination });
+    }
+
+    const orders = await Order.find(filter).setOptions(queryOptions);
     res.json(orders);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error, "Error fetching client orders");
   }
 };
 
 exports.CountOrders = async (req, res) => {
   try {
-    const totalOrders = await Order.countDocuments();
+    const totalOrders = await Order.countDocuments(orderScope(req.user));
     res.json({
       status: 200,
       message: "Count retrieved successfully",
       data: { totalOrders },
     });
   } catch (error) {
-    console.error(error);
-    res
-      .status(500)
-      .json({ status: 500, message: "Error counting orders", data: {} });
+    sendError(res, error, "Error counting orders");
   }
 };
@@ -0,0 +1,371 @@
+const Order = require("../Models/order");
+const Payment = require("../Models/payment");
+const { HttpError, sendError } = require("../Utils/httpError");
+const { canAccessOrder, isAdmin } = require("../Utils/orderPolicy");
+const { PAYMENT_METHODS } = require("../Utils/paymentMethods");
+const { getProvider, simulationEnabled } = require("../Utils/paymentProviders");
+const { orderAmount, toCents } = require("../Utils/money");
+const {
+  createPayment,
+  capturePayment,
+  voidPayment,
+  refundPayment,
+  handleWebhook,
+} = require("../Utils/payments");
+
+function orderNotFound(res) {
+  return res
+    .status(404)
+    .json({ status: 404, message: "Order not found", data: {} });
+}
+
+function paymentNotFound(res) {
+  return res
+    .status(404)
+    .json({ status: 404, message: "Payment not found", data: {} });
+}
+
+// Loads a payment if the user may see the order it belongs to. Admins can
+// still reach the payments of deleted orders, e.g. to refund them.
+async function findPayment(user, paymentId) {
+  const payment = await Payment.findById(paymentId);
+  if (!payment) return null;
+  const order = await Order.findById(payment.orderId).setOptions({
+    includeDeleted: isAdmin(user),
+  });
+  if (!order || !canAccessOrder(user, order)) return null;
+  return payment;
+}
+
+/**
+ * @swagger
+ * /order/{id}/payments:
+ *   post:
+ *     summary: Start a payment for an order
+ *     description: Create a payment intent with the provider for the amount still owed on a confirmed order; pending orders have to be confirmed first. The response includes the clientSecret needed to complete the payment; the outcome arrives through the provider webhook.
+ *     tags:
+ *       - Payments
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [card, mbway, multibanco, paypal, cash]
+ *                 description: Defaults to the order's paymentType
+ *     responses:
+ *       '201':
+ *         description: Payment created
+ *       '404':
+ *         description: Order not found
+ *       '409':
+ *         description: Order not confirmed, already paid or with a payment in progress
+ *       '500':
+ *         description: Internal Server Error - Failed to create payment
+ */
+exports.CreatePayment = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order || !canAccessOrder(req.user, order)) {
+      return orderNotFound(res);
+    }
+
+    const method = req.body.method || order.paymentType;
+    if (!PAYMENT_METHODS.includes(method)) {
+      throw new HttpError(422, "Validation failed", [
+        {
+          location: "body",
+          field: "method",
+          message: `"method" must be one of [${PAYMENT_METHODS.join(", ")}]`,
+        },
+      ]);
+    }
+
+    const payment = await createPayment(order, method);
+    res.status(201).json({
+      status: 201,
+      message: "Payment created",
+      data: {
+        payment: { ...payment.toJSON(), clientSecret: payment.clientSecret },
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Error creating payment");
+  }
+};
+
+/**
+ * @swagger
+ * /order/{id}/payments:
+ *   get:
+ *     summary: List the payments of an order
+ *     tags:
+ *       - Payments
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Order payments
+ *       '404':
+ *         description: Order not found
+ *       '500':
+ *         description: Internal Server Error - Failed to fetch payments
+ */
+exports.ReadOrderPayments = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order || !canAccessOrder(req.user, order)) {
+      return orderNotFound(res);
+    }
+
+    const payments = await Payment.find({ orderId: order._id }).sort({
+      createdAt: 1,
+    });
+    res.json({
+      status: 200,
+      message: "Order payments",
+      data: {
+        paymentStatus: order.paymentStatus,
+        amountPaid: orderAmount(order, order.amountPaid),
+        payments,
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching payments");
+  }
+};
+
+/**
+ * @swagger
+ * /order/payments/{paymentId}/capture:
+ *   post:
+ *     summary: Capture an authorized payment
+ *     description: Staff or admin only.
+ *     tags:
+ *       - Payments
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Payment captured
+ *       '404':
+ *         description: Payment not found
+ *       '409':
+ *         description: Payment is not authorized
+ *       '500':
+ *         description: Internal Server Error - Failed to capture payment
+ */
+exports.CapturePayment = async (req, res) => {
+  try {
+    const payment = await findPayment(req.user, req.params.paymentId);
+    if (!payment) return paymentNotFound(res);
+
+    await capturePayment(payment);
+    res.json({ status: 200, message: "Payment captured", data: { payment } });
+  } catch (error) {
+    sendError(res, error, "Error capturing payment");
+  }
+};
+
+/**
+ * @swagger
+ * /order/payments/{paymentId}/void:
+ *   post:
+ *     summary: Void a payment that hasn't been captured
+ *     description: Staff or admin only.
+ *     tags:
+ *       - Payments
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Payment voided
+ *       '404':
+ *         description: Payment not found
+ *       '409':
+ *         description: Payment is already settled
+ *       '500':
+ *         description: Internal Server Error - Failed to void payment
+ */
+exports.VoidPayment = async (req, res) => {
+  try {
+    const payment = await findPayment(req.user, req.params.paymentId);
+    if (!payment) return paymentNotFound(res);
+
+    await voidPayment(payment);
+    res.json({ status: 200, message: "Payment voided", data: { payment } });
+  } catch (error) {
+    sendError(res, error, "Error voiding payment");
+  }
+};
+
+/**
+ * @swagger
+ * /order/payments/{paymentId}/refunds:
+ *   post:
+ *     summary: Refund a captured payment
+ *     description: Admin only. Refunds the given amount, or everything not yet refunded when no amount is sent. A payment can be partially refunded several times.
+ *     tags:
+ *       - Payments
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Payment refunded
+ *       '404':
+ *         description: Payment not found
+ *       '409':
+ *         description: Payment isn't captured
+ *       '422':
+ *         description: Amount exceeds what can still be refunded
+ *       '500':
+ *         description: Internal Server Error - Failed to refund payment
+ */
+exports.RefundPayment = async (req, res) => {
+  const { amount, reason } = req.body;
+
+  try {
+    const payment = await findPayment(req.user, req.params.paymentId);
+    if (!payment) return paymentNotFound(res);
+
+    await refundPayment(payment, toCents(amount), reason);
+    res.json({ status: 200, message: "Payment refunded", data: { payment } });
+  } catch (error) {
+    sendError(res, error, "Error refunding payment");
+  }
+};
+
+/**
+ * @swagger
+ * /order/payments/webhook:
+ *   post:
+ *     summary: Receive payment provider events
+ *     description: Called by the payment provider. The Payment-Signature header must be a valid HMAC of the raw body made with PAYMENT_WEBHOOK_SECRET. Events already received are acknowledged and ignored.
+ *     tags:
+ *       - Payments
+ *     parameters:
+ *       - in: header
+ *         name: Payment-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Event processed
+ *       '401':
+ *         description: Invalid signature
+ *       '404':
+ *         description: Unknown payment
+ */
+exports.PaymentWebhook = async (req, res) => {
+  try {
+    const payment = await handleWebhook(
+      req.rawBody ? req.rawBody.toString("utf8") : "",
+      req.headers["payment-signature"]
+    );
+    res.json({
+      status: 200,
+      message: "Event processed",
+      data: { paymentId: payment._id, status: payment.status },
+    });
+  } catch (error) {
+    sendError(res, error, "Error processing payment event");
+  }
+};
+
+/**
+ * @swagger
+ * /order/payments/{paymentId}/simulate:
+ *   post:
+ *     summary: Simulate the provider outcome of a payment
+ *     description: Only available when PAYMENT_SIMULATION_ENABLED=true with the local fake provider, outside production. Sends a signed webhook for the payment through the same path a real provider would use. Admins only.
+ *     tags:
+ *       - Payments
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [authorized, captured, failed]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Payment event simulated
+ *       '403':
+ *         description: Forbidden - Admins only
+ *       '404':
+ *         description: Payment not found or simulation unavailable
+ */
+exports.SimulatePayment = async (req, res) => {
+  const { outcome, reason } = req.body;
+
+  try {
+    if (!simulationEnabled()) {
+      return res
+        .status(404)
+        .json({ status: 404, message: "Not found", data: {} });
+    }
+
+    const payment = await findPayment(req.user, req.params.paymentId);
+    if (!payment) return paymentNotFound(res);
+
+    const { body, signature } = getProvider("fake").webhook(
+      `payment.${outcome}`,
+      { providerPaymentId: payment.providerPaymentId, reason },
+      process.env.PAYMENT_WEBHOOK_SECRET
+    );
+    const updated = await handleWebhook(body, signature);
+    res.json({
+      status: 200,
+      message: "Payment event simulated",
+      data: { payment: updated },
+    });
+  } catch (error) {
+    sendError(res, error, "Error simulating payment");
+  }
+};
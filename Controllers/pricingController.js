@@ -0,0 +1,452 @@
+const Coupon = require("../Models/coupon");
+const Promotion = require("../Models/promotion");
+const TaxRate = require("../Models/taxRate");
+const { HttpError, sendError } = require("../Utils/httpError");
+const { invalidateVatRates } = require("../Utils/pricing");
+const { defaultCurrency, toCents } = require("../Utils/money");
+
+// Percentages over 100 would make the discount larger than the order
+function assertDiscountTerms({ type, value }) {
+  if (type === "percentage" && value > 100) {
+    throw new HttpError(422, "Validation failed", [
+      {
+        location: "body",
+        field: "value",
+        message: "a percentage can't be over 100",
+      },
+    ]);
+  }
+}
+
+// Amounts are sent in major units and stored in cents. A fixed value is
+// an amount; a percentage value isn't.
+function amountsInCents(body, type) {
+  if (type && body.type && body.type !== type && body.value === undefined) {
+    throw new HttpError(422, "Validation failed", [
+      {
+        location: "body",
+        field: "value",
+        message: "value is required when changing the type",
+      },
+    ]);
+  }
+
+  const fields = { ...body };
+  if (fields.value !== undefined && (body.type || type) === "fixed") {
+    fields.value = toCents(fields.value);
+  }
+  if (fields.minSubtotal !== undefined && fields.minSubtotal !== null) {
+    fields.minSubtotal = toCents(fields.minSubtotal);
+  }
+  return fields;
+}
+
+function activeFilter(query) {
+  return query.active === undefined ? {} : { active: query.active };
+}
+
+/**
+ * @swagger
+ * /ReadCoupons:
+ *   get:
+ *     summary: List coupons
+ *     description: Admins only.
+ *     tags:
+ *       - Pricing
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       '200':
+ *         description: Coupons
+ *       '403':
+ *         description: Forbidden - Admins only
+ *       '500':
+ *         description: Internal Server Error - Failed to fetch coupons
+ */
+exports.ReadCoupons = async (req, res) => {
+  try {
+    const coupons = await Coupon.find(activeFilter(req.query)).sort({
+      createdAt: -1,
+    });
+    res.json({ status: 200, message: "Coupons", data: { coupons } });
+  } catch (error) {
+    sendError(res, error, "Error fetching coupons");
+  }
+};
+
+/**
+ * @swagger
+ * /CreateCoupon:
+ *   post:
+ *     summary: Create a coupon
+ *     description: Admins only. A coupon takes a percentage or a fixed amount off an order and can be limited in time, number of uses, uses per client, stores and minimum subtotal.
+ *     tags:
+ *       - Pricing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               value:
+ *                 type: number
+ *               startsAt:
+ *                 type: string
+ *               expiresAt:
+ *                 type: string
+ *               maxUses:
+ *                 type: number
+ *               perClientLimit:
+ *                 type: number
+ *               storeIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               minSubtotal:
+ *                 type: number
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       '201':
+ *         description: Coupon created
+ *       '403':
+ *         description: Forbidden - Admins only
+ *       '409':
+ *         description: A coupon with this code already exists
+ *       '500':
+ *         description: Internal Server Error - Failed to create coupon
+ */
+exports.CreateCoupon = async (req, res) => {
+  try {
+    assertDiscountTerms(req.body);
+
+    const coupon = await Coupon.create({
+      ...amountsInCents(req.body),
+      currency: defaultCurrency(),
+    }).catch((error) => {
+      if (error.code === 11000) {
+        throw new HttpError(409, "A coupon with this code already exists");
+      }
+      throw error;
+    });
+    res
+      .status(201)
+      .json({ status: 201, message: "Coupon created", data: { coupon } });
+  } catch (error) {
+    sendError(res, error, "Error creating coupon");
+  }
+};
+
+/**
+ * @swagger
+ * /UpdateCoupon/{couponId}:
+ *   put:
+ *     summary: Update a coupon
+ *     description: Admins only. Orders that already used the coupon keep the terms they were placed with. Set active to false to stop the coupon being used.
+ *     tags:
+ *       - Pricing
+ *     parameters:
+ *       - in: path
+ *         name: couponId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Coupon updated
+ *       '404':
+ *         description: Coupon not found
+ *       '500':
+ *         description: Internal Server Error - Failed to update coupon
+ */
+exports.UpdateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.couponId);
+    if (!coupon) {
+      return res
+        .status(404)
+        .json({ status: 404, message: "Coupon not found", data: {} });
+    }
+
+    coupon.set({
+      ...amountsInCents(req.body, coupon.type),
+      updatedAt: new Date(),
+    });
+    assertDiscountTerms(coupon);
+    await coupon.save();
+    res.json({ status: 200, message: "Coupon updated", data: { coupon } });
+  } catch (error) {
+    sendError(res, error, "Error updating coupon");
+  }
+};
+
+/**
+ * @swagger
+ * /ReadPromotions:
+ *   get:
+ *     summary: List promotions
+ *     description: Admins only.
+ *     tags:
+ *       - Pricing
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       '200':
+ *         description: Promotions
+ *       '403':
+ *         description: Forbidden - Admins only
+ *       '500':
+ *         description: Internal Server Error - Failed to fetch promotions
+ */
+exports.ReadPromotions = async (req, res) => {
+  try {
+    const promotions = await Promotion.find(activeFilter(req.query)).sort({
+      createdAt: -1,
+    });
+    res.json({ status: 200, message: "Promotions", data: { promotions } });
+  } catch (error) {
+    sendError(res, error, "Error fetching promotions");
+  }
+};
+
+/**
+ * @swagger
+ * /CreatePromotion:
+ *   post:
+ *     summary: Create a promotion
+ *     description: Admins only. Promotions apply automatically to the order lines whose product, service or category they list, or to every line if they list none. Each line gets the best promotion that matches it.
+ *     tags:
+ *       - Pricing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               value:
+ *                 type: number
+ *               productIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               serviceIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               storeIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               startsAt:
+ *                 type: string
+ *               endsAt:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       '201':
+ *         description: Promotion created
+ *       '403':
+ *         description: Forbidden - Admins only
+ *       '500':
+ *         description: Internal Server Error - Failed to create promotion
+ */
+exports.CreatePromotion = async (req, res) => {
+  try {
+    assertDiscountTerms(req.body);
+
+    const promotion = await Promotion.create({
+      ...amountsInCents(req.body),
+      currency: defaultCurrency(),
+    });
+    res.status(201).json({
+      status: 201,
+      message: "Promotion created",
+      data: { promotion },
+    });
+  } catch (error) {
+    sendError(res, error, "Error creating promotion");
+  }
+};
+
+/**
+ * @swagger
+ * /UpdatePromotion/{promotionId}:
+ *   put:
+ *     summary: Update a promotion
+ *     description: Admins only. Existing orders aren't re-priced.
+ *     tags:
+ *       - Pricing
+ *     parameters:
+ *       - in: path
+ *         name: promotionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Promotion updated
+ *       '404':
+ *         description: Promotion not found
+ *       '500':
+ *         description: Internal Server Error - Failed to update promotion
+ */
+exports.UpdatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.promotionId);
+    if (!promotion) {
+      return res
+        .status(404)
+        .json({ status: 404, message: "Promotion not found", data: {} });
+    }
+
+    promotion.set({
+      ...amountsInCents(req.body, promotion.type),
+      updatedAt: new Date(),
+    });
+    assertDiscountTerms(promotion);
+    await promotion.save();
+    res.json({
+      status: 200,
+      message: "Promotion updated",
+      data: { promotion },
+    });
+  } catch (error) {
+    sendError(res, error, "Error updating promotion");
+  }
+};
+
+/**
+ * @swagger
+ * /ReadTaxRates:
+ *   get:
+ *     summary: List VAT rates by category
+ *     description: Catalogue prices include VAT; these rates only decide how much of each line total is reported as VAT, they never add to the price. Categories without a rate use DEFAULT_VAT_RATE (23% unless configured).
+ *     tags:
+ *       - Pricing
+ *     responses:
+ *       '200':
+ *         description: VAT rates
+ *       '500':
+ *         description: Internal Server Error - Failed to fetch VAT rates
+ */
+exports.ReadTaxRates = async (req, res) => {
+  try {
+    const rates = await TaxRate.find().sort({ category: 1 });
+    res.json({ status: 200, message: "VAT rates", data: { rates } });
+  } catch (error) {
+    sendError(res, error, "Error fetching VAT rates");
+  }
+};
+
+/**
+ * @swagger
+ * /UpdateTaxRate/{category}:
+ *   put:
+ *     summary: Set the VAT rate of a category
+ *     description: Admins only. The rate is a fraction, e.g. 0.06 for 6%. Applies to orders priced from now on.
+ *     tags:
+ *       - Pricing
+ *     parameters:
+ *       - in: path
+ *         name: category
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rate:
+ *                 type: number
+ *     responses:
+ *       '200':
+ *         description: VAT rate updated
+ *       '403':
+ *         description: Forbidden - Admins only
+ *       '500':
+ *         description: Internal Server Error - Failed to update VAT rate
+ */
+exports.UpdateTaxRate = async (req, res) => {
+  const { category } = req.params;
+
+  try {
+    const rate = await TaxRate.findOneAndUpdate(
+      { category },
+      { category, rate: req.body.rate, updatedAt: new Date() },
+      { new: true, upsert: true, runValidators: true }
+    );
+    await invalidateVatRates();
+    res.json({ status: 200, message: "VAT rate updated", data: { rate } });
+  } catch (error) {
+    sendError(res, error, "Error updating VAT rate");
+  }
+};
+
+/**
+ * @swagger
+ * /RemoveTaxRate/{category}:
+ *   delete:
+ *     summary: Remove the VAT rate of a category
+ *     description: Admins only. The category goes back to the default rate.
+ *     tags:
+ *       - Pricing
+ *     parameters:
+ *       - in: path
+ *         name: category
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: VAT rate removed
+ *       '404':
+ *         description: No VAT rate for this category
+ *       '500':
+ *         description: Internal Server Error - Failed to remove VAT rate
+ */
+exports.RemoveTaxRate = async (req, res) => {
+  try {
+    const { deletedCount } = await TaxRate.deleteOne({
+      category: req.params.category,
+    });
+    if (deletedCount === 0) {
+      return res.status(404).json({
+        status: 404,
+        message: "No VAT rate for this category",
+        data: {},
+      });
+    }
+    await invalidateVatRates();
+    res.json({ status: 200, message: "VAT rate removed", data: {} });
+  } catch (error) {
+    sendError(res, error, "Error removing VAT rate");
+  }
+};
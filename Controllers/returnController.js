@@ -0,0 +1,303 @@
+const Order = require("../Models/order");
+const ReturnRequest = require("../Models/returnRequest");
+const { sendError } = require("../Utils/httpError");
+const { paginateWithCursor } = require("../Utils/cursorPagination");
+const { pageSize } = require("../Utils/orderQuery");
+const { userId, canAccessOrder, isAdmin } = require("../Utils/orderPolicy");
+const {
+  returnableQuantities,
+  requestReturn,
+  approveReturn,
+  rejectReturn,
+} = require("../Utils/returns");
+
+function orderNotFound(res) {
+  return res
+    .status(404)
+    .json({ status: 404, message: "Order not found", data: {} });
+}
+
+function returnNotFound(res) {
+  return res
+    .status(404)
+    .json({ status: 404, message: "Return not found", data: {} });
+}
+
+function actorFromRequest(req) {
+  const user = req.user || {};
+  return { _id: userId(user), role: user.role };
+}
+
+/**
+ * @swagger
+ * /order/{id}/returns:
+ *   post:
+ *     summary: Ask to return products of an order
+ *     description: Request the return of some or all units of the product lines of a fulfilled order, with a reason for each line. Units already covered by a pending or approved return can't be asked for again. The request waits for an admin to approve or reject it.
+ *     tags:
+ *       - Returns
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     reason:
+ *                       type: string
+ *     responses:
+ *       '201':
+ *         description: Return requested
+ *       '404':
+ *         description: Order not found
+ *       '409':
+ *         description: Order is not fulfilled
+ *       '422':
+ *         description: A product is not in the order or more units are asked for than can be returned
+ *       '500':
+ *         description: Internal Server Error - Failed to request return
+ */
+exports.RequestReturn = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order || !canAccessOrder(req.user, order)) {
+      return orderNotFound(res);
+    }
+
+    const returnRequest = await requestReturn(
+      order,
+      req.body.items,
+      actorFromRequest(req)
+    );
+    res.status(201).json({
+      status: 201,
+      message: "Return requested",
+      data: { return: returnRequest },
+    });
+  } catch (error) {
+    sendError(res, error, "Error requesting return");
+  }
+};
+
+/**
+ * @swagger
+ * /order/{id}/returns:
+ *   get:
+ *     summary: List the returns of an order
+ *     description: Every return asked for on the order, oldest first, with the units of each product that can still be returned.
+ *     tags:
+ *       - Returns
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Order returns
+ *       '404':
+ *         description: Order not found
+ *       '500':
+ *         description: Internal Server Error - Failed to fetch returns
+ */
+exports.ReadOrderReturns = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).setOptions({
+      includeDeleted: isAdmin(req.user),
+    });
+    if (!order || !canAccessOrder(req.user, order)) {
+      return orderNotFound(res);
+    }
+
+    const returns = await ReturnRequest.find({ orderId: order._id }).sort({
+      createdAt: 1,
+    });
+    res.json({
+      status: 200,
+      message: "Order returns",
+      data: { returns, returnable: await returnableQuantities(order) },
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching returns");
+  }
+};
+
+/**
+ * @swagger
+ * /order/returns:
+ *   get:
+ *     summary: Browse returns across orders
+ *     description: Returns of every order, newest first, e.g. the ones waiting for a decision with status=requested. Admins only.
+ *     tags:
+ *       - Returns
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected]
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         description: Opaque cursor from a previous nextCursor/prevCursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Returns
+ *       '403':
+ *         description: Forbidden - Admins only
+ *       '500':
+ *         description: Internal Server Error - Failed to fetch returns
+ */
+exports.ReadReturns = async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const { docs, pagination } = await paginateWithCursor(
+      ReturnRequest,
+      filter,
+      { cursor: req.query.cursor, limit: pageSize(req.query.limit) }
+    );
+
+    res.json({
+      status: 200,
+      message: "Returns",
+      data: { returns: docs, pagination },
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching returns");
+  }
+};
+
+/**
+ * @swagger
+ * /order/returns/{returnId}/approve:
+ *   post:
+ *     summary: Approve a return
+ *     description: Accept a requested return, put its units back into stock through the products service and refund what the units cost (their line totals after discounts) to the order's captured payments, up to what was paid. The refunded amount is returned as refundedAmount. If restocking or refunding fails the return stays requested and approving it again picks up where it stopped. Admins only.
+ *     tags:
+ *       - Returns
+ *     parameters:
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Return approved
+ *       '403':
+ *         description: Forbidden - Admins only
+ *       '404':
+ *         description: Return not found
+ *       '409':
+ *         description: Return was already approved or rejected
+ *       '500':
+ *         description: Internal Server Error - Failed to approve return
+ */
+exports.ApproveReturn = async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.returnId);
+    if (!returnRequest) {
+      return returnNotFound(res);
+    }
+
+    const approved = await approveReturn(returnRequest, {
+      actor: actorFromRequest(req),
+      note: req.body.note,
+      token: req.headers.authorization,
+    });
+    res.json({
+      status: 200,
+      message: "Return approved",
+      data: { return: approved },
+    });
+  } catch (error) {
+    sendError(res, error, "Error approving return");
+  }
+};
+
+/**
+ * @swagger
+ * /order/returns/{returnId}/reject:
+ *   post:
+ *     summary: Reject a return
+ *     description: Turn down a requested return, freeing its units to be asked for again. Admins only.
+ *     tags:
+ *       - Returns
+ *     parameters:
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Return rejected
+ *       '403':
+ *         description: Forbidden - Admins only
+ *       '404':
+ *         description: Return not found
+ *       '409':
+ *         description: Return was already approved or rejected
+ *       '500':
+ *         description: Internal Server Error - Failed to reject return
+ */
+exports.RejectReturn = async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.returnId);
+    if (!returnRequest) {
+      return returnNotFound(res);
+    }
+
+    const rejected = await rejectReturn(returnRequest, {
+      actor: actorFromRequest(req),
+      note: req.body.note,
+    });
+    res.json({
+      status: 200,
+      message: "Return rejected",
+      data: { return: rejected },
+    });
+  } catch (error) {
+    sendError(res, error, "Error rejecting return");
+  }
+};
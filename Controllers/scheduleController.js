@@ -0,0 +1,202 @@
+const StoreSchedule = require("../Models/storeSchedule");
+const { sendError } = require("../Utils/httpError");
+const { fetchService } = require("../Utils/catalog");
+const {
+  DEFAULT_SCHEDULE,
+  getSchedule,
+  appointmentMinutes,
+  freeSlots,
+} = require("../Utils/scheduling");
+
+/**
+ * @swagger
+ * /ReadFreeSlots:
+ *   get:
+ *     summary: Get free appointment slots
+ *     description: List the start times at which the given services can still be booked at a store on a date, taking opening hours, service duration and capacity into account.
+ *     tags:
+ *       - Scheduling
+ *     parameters:
+ *       - in: query
+ *         name: storeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: serviceId
+ *         required: true
+ *         description: Comma-separated list of service IDs to book together
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         description: Local date at the store (YYYY-MM-DD)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Free slots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   enum: [200]
+ *                 message:
+ *                   type: string
+ *                   enum: [Free slots]
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     duration:
+ *                       type: number
+ *                     slots:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           start:
+ *                             type: string
+ *                           end:
+ *                             type: string
+ *       '422':
+ *         description: Unknown service
+ *       '500':
+ *         description: Internal Server Error - Failed to fetch free slots
+ */
+exports.ReadFreeSlots = async (req, res) => {
+  const { storeId, serviceId, date } = req.query;
+  const token = req.headers.authorization;
+
+  try {
+    const services = await Promise.all(
+      serviceId.split(",").map((id) => fetchService(id, token))
+    );
+    const items = services.map((service, index) => ({
+      serviceId: serviceId.split(",")[index],
+      duration: service.duration,
+    }));
+
+    const schedule = await getSchedule(storeId);
+    const duration = appointmentMinutes(items, schedule);
+    const slots = await freeSlots(schedule, date, duration);
+
+    res.json({
+      status: 200,
+      message: "Free slots",
+      data: { storeId, date, duration, slots },
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching free slots");
+  }
+};
+
+/**
+ * @swagger
+ * /ReadStoreSchedule/{storeId}:
+ *   get:
+ *     summary: Get the schedule of a store
+ *     description: Opening hours, slot length and capacity used to book appointments at a store. Stores without a schedule use the default one.
+ *     tags:
+ *       - Scheduling
+ *     parameters:
+ *       - in: path
+ *         name: storeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Store schedule
+ *       '500':
+ *         description: Internal Server Error - Failed to fetch schedule
+ */
+exports.ReadStoreSchedule = async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.params.storeId);
+    res.json({ status: 200, message: "Store schedule", data: { schedule } });
+  } catch (error) {
+    sendError(res, error, "Error fetching store schedule");
+  }
+};
+
+/**
+ * @swagger
+ * /UpdateStoreSchedule/{storeId}:
+ *   put:
+ *     summary: Set the schedule of a store
+ *     description: Replace the opening hours, slot length and capacity of a store. Only the fields sent are changed; a store without a schedule yet starts from the default one (Monday to Saturday 09:00-18:00), so sending only slotMinutes doesn't leave it without opening hours. Admins only.
+ *     tags:
+ *       - Scheduling
+ *     parameters:
+ *       - in: path
+ *         name: storeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               timezone:
+ *                 type: string
+ *               slotMinutes:
+ *                 type: number
+ *               capacity:
+ *                 type: number
+ *               openingHours:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     day:
+ *                       type: number
+ *                     open:
+ *                       type: string
+ *                     close:
+ *                       type: string
+ *               closedDates:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       '200':
+ *         description: Store schedule updated
+ *       '403':
+ *         description: Forbidden - Admins only
+ *       '500':
+ *         description: Internal Server Error - Failed to update schedule
+ */
+exports.UpdateStoreSchedule = async (req, res) => {
+  const { storeId } = req.params;
+
+  try {
+    // A new schedule starts from the defaults for the fields not sent
+    const defaults = {};
+    for (const [field, value] of Object.entries(DEFAULT_SCHEDULE)) {
+      if (req.body[field] === undefined) defaults[field] = value;
+    }
+
+    const schedule = await StoreSchedule.findOneAndUpdate(
+      { storeId },
+      {
+        $set: { ...req.body, updatedAt: new Date() },
+        $setOnInsert: defaults,
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+    res.json({
+      status: 200,
+      message: "Store schedule updated",
+      data: { schedule },
+    });
+  } catch (error) {
+    sendError(res, error, "Error updating store schedule");
+  }
+};
@@ -0,0 +1,408 @@
+const Order = require("../Models/order");
+const mongoose = require("mongoose");
+const { sendError } = require("../Utils/httpError");
+
+// Only orders that were paid for count as revenue
+const REVENUE_STATUSES = ["paid", "fulfilled"];
+
+const DEFAULT_TOP_LIMIT = 10;
+
+// Builds the $match stage shared by every report.
+function matchStage(query) {
+  const match = { status: { $in: REVENUE_STATUSES } };
+
+  if (query.from || query.to) {
+    match.createdAt = {};
+    if (query.from) match.createdAt.$gte = query.from;
+    if (query.to) match.createdAt.$lte = query.to;
+  }
+  if (query.storeId) {
+    match["store._id"] = new mongoose.Types.ObjectId(query.storeId);
+  }
+
+  return { $match: match };
+}
+
+// Revenue of an order line on the same basis as the order total: after
+// discounts and with VAT. Lines priced before discounts and VAT existed
+// only have a price, charged per unit for products and once for services.
+const lineRevenue = {
+  $ifNull: [
+    "$items.total",
+    { $multiply: ["$items.price", { $ifNull: ["$items.quantity", 1] }] },
+  ],
+};
+
+// Amounts are summed in cents and reported in major units
+function toMajorUnits(expression) {
+  return { $divide: [{ $round: [expression, 0] }, 100] };
+}
+
+function groupKey(groupBy, timezone) {
+  switch (groupBy) {
+    case "day":
+    case "week":
+    case "month":
+      return {
+        $dateTrunc: {
+          date: "$createdAt",
+          unit: groupBy,
+          timezone,
+          startOfWeek: "monday",
+        },
+      };
+    case "store":
+      return "$store._id";
+    case "paymentType":
+      return "$paymentType";
+    default:
+      return null;
+  }
+}
+
+/**
+ * @swagger
+ * /ReadOrderStats:
+ *   get:
+ *     summary: Get sales statistics
+ *     description: Revenue, order count and average order value over a date range, grouped by day, week, month, store, payment type, product or service. Only paid and fulfilled orders count, and revenue is what clients were charged, after discounts and with VAT, for orders and items alike. Admins only.
+ *     tags:
+ *       - Stats
+ *     parameters:
+ *       - in: query
+ *         name: groupBy
+ *         required: false
+ *         description: day (default), week, month, store, paymentType, product or service
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         description: Only orders created on or after this date (ISO 8601)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         description: Only orders created on or before this date (ISO 8601)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: storeId
+ *         required: false
+ *         description: Only orders of this store
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: timezone
+ *         required: false
+ *         description: IANA timezone used to group by day, week or month (default UTC)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Statistics per group
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   enum: [200]
+ *                 message:
+ *                   type: string
+ *                   enum: [Order stats]
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     groupBy:
+ *                       type: string
+ *                     stats:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           key: {}
+ *                           revenue:
+ *                             type: number
+ *                           orderCount:
+ *                             type: number
+ *                           averageOrderValue:
+ *                             type: number
+ *       '403':
+ *         description: Forbidden - Admins only
+ *       '500':
+ *         description: Internal Server Error - Failed to compute stats
+ */
+exports.ReadOrderStats = async (req, res) => {
+  const groupBy = req.query.groupBy || "day";
+  const timezone = req.query.timezone || "UTC";
+
+  try {
+    let pipeline;
+
+    if (groupBy === "product" || groupBy === "service") {
+      const idField = `items.${groupBy}Id`;
+      pipeline = [
+        matchStage(req.query),
+        { $unwind: "$items" },
+        { $match: { [idField]: { $ne: null } } },
+        {
+          $group: {
+            _id: `$${idField}`,
+            name: { $last: "$items.name" },
+            revenue: { $sum: lineRevenue },
+            quantity: { $sum: { $ifNull: ["$items.quantity", 1] } },
+            orders: { $addToSet: "$_id" },
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            key: "$_id",
+            name: 1,
+            revenue: toMajorUnits("$revenue"),
+            quantity: 1,
+            orderCount: { $size: "$orders" },
+            averageOrderValue: toMajorUnits({
+              $divide: ["$revenue", { $size: "$orders" }],
+            }),
+          },
+        },
+        { $sort: { revenue: -1 } },
+      ];
+    } else {
+      pipeline = [
+        matchStage(req.query),
+        {
+          $group: {
+            _id: groupKey(groupBy, timezone),
+            revenue: { $sum: "$total" },
+            orderCount: { $sum: 1 },
+            averageOrderValue: { $avg: "$total" },
+            // Only meaningful when grouping by store
+            name: { $last: "$store.name" },
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            key: "$_id",
+            name: groupBy === "store" ? 1 : "$$REMOVE",
+            revenue: toMajorUnits("$revenue"),
+            orderCount: 1,
+            averageOrderValue: toMajorUnits("$averageOrderValue"),
+          },
+        },
+        {
+          $sort:
+            groupBy === "store" || groupBy === "paymentType"
+              ? { revenue: -1 }
+              : { key: 1 },
+        },
+      ];
+    }
+
+    const stats = await Order.aggregate(pipeline);
+
+    res.json({
+      status: 200,
+      message: "Order stats",
+      data: { groupBy, stats },
+    });
+  } catch (error) {
+    sendError(res, error, "Error computing order stats");
+  }
+};
+
+/**
+ * @swagger
+ * /ReadTopItems:
+ *   get:
+ *     summary: Get the top-selling products and services
+ *     description: Products and services ranked by revenue or quantity sold over a date range, counting paid and fulfilled orders. Line revenue is after discounts and with VAT. Admins only.
+ *     tags:
+ *       - Stats
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         description: product, service or all (default)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sortBy
+ *         required: false
+ *         description: revenue (default) or quantity
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Number of items to return (default 10)
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: storeId
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Top-selling items
+ *       '403':
+ *         description: Forbidden - Admins only
+ *       '500':
+ *         description: Internal Server Error - Failed to compute stats
+ */
+exports.ReadTopItems = async (req, res) => {
+  const type = req.query.type || "all";
+  const sortBy = req.query.sortBy || "revenue";
+  const limit = req.query.limit || DEFAULT_TOP_LIMIT;
+
+  const itemMatch = {
+    product: { "items.productId": { $ne: null } },
+    service: { "items.serviceId": { $ne: null } },
+    all: {},
+  }[type];
+
+  try {
+    const items = await Order.aggregate([
+      matchStage(req.query),
+      { $unwind: "$items" },
+      { $match: itemMatch },
+      {
+        $group: {
+          _id: { $ifNull: ["$items.productId", "$items.serviceId"] },
+          type: {
+            $first: {
+              $cond: [
+                { $ifNull: ["$items.productId", false] },
+                "product",
+                "service",
+              ],
+            },
+          },
+          name: { $last: "$items.name" },
+          revenue: { $sum: lineRevenue },
+          quantity: { $sum: { $ifNull: ["$items.quantity", 1] } },
+          orders: { $addToSet: "$_id" },
+        },
+      },
+      { $sort: { [sortBy]: -1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          id: "$_id",
+          type: 1,
+          name: 1,
+          revenue: toMajorUnits("$revenue"),
+          quantity: 1,
+          orderCount: { $size: "$orders" },
+        },
+      },
+    ]);
+
+    res.json({
+      status: 200,
+      message: "Top items",
+      data: { items },
+    });
+  } catch (error) {
+    sendError(res, error, "Error computing top items");
+  }
+};
+
+/**
+ * @swagger
+ * /ReadTopClients:
+ *   get:
+ *     summary: Get the top clients
+ *     description: Clients ranked by amount spent on paid and fulfilled orders over a date range. Admins only.
+ *     tags:
+ *       - Stats
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Number of clients to return (default 10)
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: storeId
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Top clients
+ *       '403':
+ *         description: Forbidden - Admins only
+ *       '500':
+ *         description: Internal Server Error - Failed to compute stats
+ */
+exports.ReadTopClients = async (req, res) => {
+  const limit = req.query.limit || DEFAULT_TOP_LIMIT;
+
+  try {
+    const clients = await Order.aggregate([
+      matchStage(req.query),
+      {
+        $group: {
+          _id: "$client._id",
+          name: { $last: "$client.name" },
+          email: { $last: "$client.email" },
+          revenue: { $sum: "$total" },
+          orderCount: { $sum: 1 },
+          lastOrderAt: { $max: "$createdAt" },
+        },
+      },
+      { $sort: { revenue: -1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          id: "$_id",
+          name: 1,
+          email: 1,
+          revenue: toMajorUnits("$revenue"),
+          orderCount: 1,
+          averageOrderValue: toMajorUnits({
+            $divide: ["$revenue", "$orderCount"],
+          }),
+          lastOrderAt: 1,
+        },
+      },
+    ]);
+
+    res.json({
+      status: 200,
+      message: "Top clients",
+      data: { clients },
+    });
+  } catch (error) {
+    sendError(res, error, "Error computing top clients");
+  }
+};
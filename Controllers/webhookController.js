@@ -0,0 +1,325 @@
+const WebhookSubscription = require("../Models/webhookSubscription");
+const WebhookDelivery = require("../Models/webhookDelivery");
+const { HttpError, sendError } = require("../Utils/httpError");
+const { paginateWithCursor } = require("../Utils/cursorPagination");
+const { pageSize } = require("../Utils/orderQuery");
+const {
+  generateSecret,
+  assertPublicUrl,
+  redeliver,
+} = require("../Utils/storeWebhooks");
+const {
+  userId,
+  userStoreId,
+  isAdmin,
+  canManageStore,
+} = require("../Utils/orderPolicy");
+
+function webhookNotFound(res) {
+  return res
+    .status(404)
+    .json({ status: 404, message: "Webhook not found", data: {} });
+}
+
+// Loads a webhook if the user may manage the store it belongs to.
+async function findWebhook(user, webhookId) {
+  const webhook = await WebhookSubscription.findById(webhookId);
+  if (!webhook || !canManageStore(user, webhook.storeId)) return null;
+  return webhook;
+}
+
+/**
+ * @swagger
+ * /order/webhooks:
+ *   post:
+ *     summary: Register a store webhook
+ *     description: Have the store's order events POSTed to an https URL as JSON, as published on the event bus (amounts in cents). Each request carries Orders-Event, Orders-Delivery and an Orders-Signature header "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>" made with the webhook's secret, which is only returned here. Failed deliveries are retried with exponential backoff; redirects are not followed. The URL's host must resolve to public addresses only, which is checked again before each delivery. Staff of the store and admins only.
+ *     tags:
+ *       - Webhooks
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               storeId:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [order.created, order.updated, order.status_changed]
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       '201':
+ *         description: Webhook created
+ *       '400':
+ *         description: Bad Request - The URL isn't https or points to a private address
+ *       '403':
+ *         description: Forbidden - Not staff of the store
+ *       '500':
+ *         description: Internal Server Error - Failed to create webhook
+ */
+exports.CreateWebhook = async (req, res) => {
+  try {
+    if (!canManageStore(req.user, req.body.storeId)) {
+      throw new HttpError(403, "You can only manage your own store's webhooks");
+    }
+    await assertPublicUrl(req.body.url);
+
+    const webhook = await WebhookSubscription.create({
+      ...req.body,
+      secret: generateSecret(),
+      createdBy: { _id: userId(req.user), role: req.user.role },
+    });
+    res.status(201).json({
+      status: 201,
+      message: "Webhook created",
+      // The secret isn't selected by later reads, this is the only time
+      // it's shown
+      data: { webhook },
+    });
+  } catch (error) {
+    sendError(res, error, "Error creating webhook");
+  }
+};
+
+/**
+ * @swagger
+ * /order/webhooks:
+ *   get:
+ *     summary: List store webhooks
+ *     description: Staff see their store's webhooks; admins every store's, optionally filtered by storeId.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: query
+ *         name: storeId
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Webhooks
+ *       '500':
+ *         description: Internal Server Error - Failed to fetch webhooks
+ */
+exports.ReadWebhooks = async (req, res) => {
+  try {
+    const storeId = isAdmin(req.user)
+      ? req.query.storeId
+      : userStoreId(req.user) || null;
+    const webhooks = await WebhookSubscription.find(
+      storeId === undefined ? {} : { storeId }
+    ).sort({ createdAt: 1 });
+
+    res.json({ status: 200, message: "Webhooks", data: { webhooks } });
+  } catch (error) {
+    sendError(res, error, "Error fetching webhooks");
+  }
+};
+
+/**
+ * @swagger
+ * /order/webhooks/{webhookId}:
+ *   put:
+ *     summary: Change a store webhook
+ *     description: Change the URL or events of a webhook, or pause it with active=false. A new URL, or the stored one when the webhook is re-activated, must be https and resolve to public addresses only. Deliveries of a paused webhook fail instead of being sent.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       '200':
+ *         description: Webhook updated
+ *       '400':
+ *         description: Bad Request - The URL isn't https or points to a private address
+ *       '404':
+ *         description: Webhook not found
+ *       '500':
+ *         description: Internal Server Error - Failed to update webhook
+ */
+exports.UpdateWebhook = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req.user, req.params.webhookId);
+    if (!webhook) {
+      return webhookNotFound(res);
+    }
+
+    // Re-activating checks the stored URL again, its host may have moved
+    if (req.body.url) await assertPublicUrl(req.body.url);
+    else if (req.body.active === true) await assertPublicUrl(webhook.url);
+    webhook.set(req.body);
+    await webhook.save();
+    res.json({ status: 200, message: "Webhook updated", data: { webhook } });
+  } catch (error) {
+    sendError(res, error, "Error updating webhook");
+  }
+};
+
+/**
+ * @swagger
+ * /order/webhooks/{webhookId}:
+ *   delete:
+ *     summary: Remove a store webhook
+ *     description: Stop sending events to the webhook. Deliveries still pending for it fail.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Webhook removed
+ *       '404':
+ *         description: Webhook not found
+ *       '500':
+ *         description: Internal Server Error - Failed to remove webhook
+ */
+exports.RemoveWebhook = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req.user, req.params.webhookId);
+    if (!webhook) {
+      return webhookNotFound(res);
+    }
+
+    await webhook.deleteOne();
+    res.json({ status: 200, message: "Webhook removed", data: { webhook } });
+  } catch (error) {
+    sendError(res, error, "Error removing webhook");
+  }
+};
+
+/**
+ * @swagger
+ * /order/webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: Browse the deliveries of a store webhook
+ *     description: Events sent or waiting to be sent to the webhook, newest first, with every attempt made, the response status and the error of failed ones.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         description: Opaque cursor from a previous nextCursor/prevCursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Webhook deliveries
+ *       '404':
+ *         description: Webhook not found
+ *       '500':
+ *         description: Internal Server Error - Failed to fetch deliveries
+ */
+exports.ReadWebhookDeliveries = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req.user, req.params.webhookId);
+    if (!webhook) {
+      return webhookNotFound(res);
+    }
+
+    const filter = { subscriptionId: webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+    const { docs, pagination } = await paginateWithCursor(
+      WebhookDelivery,
+      filter,
+      { cursor: req.query.cursor, limit: pageSize(req.query.limit) }
+    );
+
+    res.json({
+      status: 200,
+      message: "Webhook deliveries",
+      data: { deliveries: docs, pagination },
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching deliveries");
+  }
+};
+
+/**
+ * @swagger
+ * /order/webhooks/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a webhook delivery again
+ *     description: Make one more attempt at a delivery right away, whatever its status, and answer with the outcome. A failed delivery that fails again isn't retried automatically.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Delivery attempted
+ *       '404':
+ *         description: Delivery not found
+ *       '409':
+ *         description: The delivery is being sent right now
+ *       '500':
+ *         description: Internal Server Error - Failed to redeliver
+ */
+exports.RedeliverWebhook = async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+    if (!delivery || !canManageStore(req.user, delivery.storeId)) {
+      return res
+        .status(404)
+        .json({ status: 404, message: "Delivery not found", data: {} });
+    }
+
+    const attempted = await redeliver(delivery);
+    res.json({
+      status: 200,
+      message: "Delivery attempted",
+      data: { delivery: attempted },
+    });
+  } catch (error) {
+    sendError(res, error, "Error redelivering webhook");
+  }
+};
@@ -0,0 +1,147 @@
+"use strict";
+
+const crypto = require("crypto");
+const IdempotencyKey = require("../Models/idempotencyKey");
+const { HttpError, sendError } = require("../Utils/httpError");
+const { userId: userIdOf } = require("../Utils/orderPolicy");
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_LOCK_SECONDS = 60;
+const MAX_KEY_LENGTH = 255;
+
+function requestHash(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n`)
+    .update(JSON.stringify(req.body || {}))
+    .digest("hex");
+}
+
+function lockExpiry() {
+  const seconds =
+    parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || DEFAULT_LOCK_SECONDS;
+  return new Date(Date.now() + seconds * 1000);
+}
+
+// Takes over a key whose request is still marked processing but whose
+// lock expired, e.g. because the server stopped mid-request.
+function takeOver(existing) {
+  return IdempotencyKey.findOneAndUpdate(
+    {
+      _id: existing._id,
+      state: "processing",
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }],
+    },
+    { $set: { lockedUntil: lockExpiry() } },
+    { new: true }
+  );
+}
+
+/**
+ * Honours the Idempotency-Key header. The first request with a key is
+ * processed normally and its response stored for IDEMPOTENCY_TTL_SECONDS;
+ * retries with the same key and body get the stored response back, and
+ * reusing a key with a different body is rejected with 409. Server errors
+ * are not stored so the request can be retried, and a request that never
+ * answered stops blocking its key after IDEMPOTENCY_LOCK_SECONDS.
+ */
+async function idempotency(req, res, next) {
+  const key = req.headers["idempotency-key"];
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return sendError(
+      res,
+      new HttpError(
+        400,
+        `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+      )
+    );
+  }
+
+  const ttl =
+    parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+  const userId = userIdOf(req.user);
+  const hash = requestHash(req);
+
+  let record;
+  let existing;
+  try {
+    // Expired keys may not have been purged by the TTL monitor yet
+    await IdempotencyKey.deleteOne({
+      key,
+      userId,
+      expiresAt: { $lte: new Date() },
+    });
+
+    record = await IdempotencyKey.create({
+      key,
+      userId,
+      route: `${req.method} ${req.baseUrl}${req.path}`,
+      requestHash: hash,
+      lockedUntil: lockExpiry(),
+      expiresAt: new Date(Date.now() + ttl * 1000),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return sendError(res, error, "Error checking idempotency key");
+    }
+
+    try {
+      existing = await IdempotencyKey.findOne({ key, userId });
+      if (
+        existing &&
+        existing.requestHash === hash &&
+        existing.state !== "completed"
+      ) {
+        record = await takeOver(existing);
+      }
+    } catch (lookupError) {
+      return sendError(res, lookupError, "Error checking idempotency key");
+    }
+  }
+
+  if (!record) {
+    if (!existing || existing.requestHash !== hash) {
+      return res.status(409).json({
+        status: 409,
+        message: "Idempotency-Key was already used with a different request",
+        data: {},
+      });
+    }
+
+    if (existing.state !== "completed") {
+      return res.status(409).json({
+        status: 409,
+        message: "A request with this Idempotency-Key is still being processed",
+        data: {},
+      });
+    }
+
+    res.set("Idempotent-Replayed", "true");
+    return res.status(existing.response.status).json(existing.response.body);
+  }
+
+  // Matches only while the key is still ours, not once a retry took it over
+  const claim = { _id: record._id, lockedUntil: record.lockedUntil };
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    // Stored as sent, so replays go through the same toJSON transforms
+    const sent = JSON.parse(JSON.stringify(body));
+    const store =
+      res.statusCode >= 500
+        ? IdempotencyKey.deleteOne(claim)
+        : IdempotencyKey.updateOne(claim, {
+            state: "completed",
+            response: { status: res.statusCode, body: sent },
+          });
+    store.catch((err) =>
+      console.error("Error storing idempotent response:", err)
+    );
+    return json(body);
+  };
+
+  next();
+}
+
+module.exports = idempotency;
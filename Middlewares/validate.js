@@ -0,0 +1,46 @@
+"use strict";
+
+const { HttpError, sendError } = require("../Utils/httpError");
+
+const LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Validates req.params, req.query and req.body against Joi schemas and
+ * replaces them with the converted values. All failures are reported
+ * together as a 400 with one entry per field.
+ */
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+
+    for (const location of LOCATIONS) {
+      const schema = schemas[location];
+      if (!schema) continue;
+
+      const { value, error } = schema.validate(req[location] || {}, {
+        abortEarly: false,
+        convert: true,
+      });
+
+      if (error) {
+        for (const detail of error.details) {
+          errors.push({
+            location,
+            field: detail.path.join("."),
+            message: detail.message.replace(/"/g, ""),
+          });
+        }
+      } else {
+        req[location] = value;
+      }
+    }
+
+    if (errors.length > 0) {
+      return sendError(res, new HttpError(400, "Validation failed", errors));
+    }
+
+    next();
+  };
+}
+
+module.exports = validate;
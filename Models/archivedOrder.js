@@ -0,0 +1,22 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Order = require("./order");
+
+// Old closed orders moved out of the orders collection by the archiver.
+// They keep the order's shape, plus when they were archived.
+const ArchivedOrderSchema = Order.schema.clone();
+ArchivedOrderSchema.add({
+  archivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const ArchivedOrder = mongoose.model(
+  "ArchivedOrder",
+  ArchivedOrderSchema,
+  "orders_archive"
+);
+
+module.exports = ArchivedOrder;
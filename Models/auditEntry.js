@@ -0,0 +1,92 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One change made to an order: who made it, through which route and the
+// fields it changed. Entries are never updated or removed.
+const AuditEntrySchema = new Schema({
+  orderId: {
+    type: Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+  },
+  action: {
+    type: String,
+    enum: [
+      "created",
+      "updated",
+      "status_changed",
+      "deleted",
+      "restored",
+      "archived",
+    ],
+    required: true,
+  },
+  // The user from the JWT, or { _id: "system" } for changes made by the
+  // service itself
+  actor: {
+    _id: {
+      type: String,
+    },
+    role: {
+      type: Number,
+    },
+  },
+  // Method and path of the request that made the change, e.g.
+  // "PUT /order/65a…"; unset for changes without a request
+  route: {
+    type: String,
+  },
+  // Values are as stored on the order, so amounts are in cents
+  changes: [
+    {
+      _id: false,
+      field: {
+        type: String,
+        required: true,
+      },
+      from: {
+        type: Schema.Types.Mixed,
+      },
+      to: {
+        type: Schema.Types.Mixed,
+      },
+    },
+  ],
+  note: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+AuditEntrySchema.index({ orderId: 1, createdAt: -1, _id: -1 });
+
+function appendOnly() {
+  throw new Error("Audit entries can't be changed or removed");
+}
+
+AuditEntrySchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "replaceOne",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  appendOnly
+);
+AuditEntrySchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Audit entries can't be changed"));
+  next();
+});
+
+const AuditEntry = mongoose.model("AuditEntry", AuditEntrySchema);
+
+module.exports = AuditEntry;
@@ -0,0 +1,20 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One document per named sequence, e.g. "order_number:LIS:2026".
+const CounterSchema = new Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+const Counter = mongoose.model("Counter", CounterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,92 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const { moneyToJSON } = require("../Utils/money");
+
+// Discount code a client can enter when placing an order
+const CouponSchema = new Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+  },
+  // percentage: value is a percentage of the order; fixed: cents off
+  type: {
+    type: String,
+    enum: ["percentage", "fixed"],
+    required: true,
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Set when the coupon is created with amounts in cents. Coupons stored
+  // in major units have none until migrate:money converts them.
+  currency: {
+    type: String,
+  },
+  startsAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  // Total number of orders that can use the coupon; unlimited when unset
+  maxUses: {
+    type: Number,
+    min: 1,
+  },
+  // Number of orders each client can use the coupon on; unlimited when unset
+  perClientLimit: {
+    type: Number,
+    min: 1,
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+  },
+  // Stores the coupon can be used at; every store when empty
+  storeIds: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: "Store",
+    },
+  ],
+  // Smallest order subtotal in cents, after promotions, the coupon
+  // applies to
+  minSubtotal: {
+    type: Number,
+    min: 0,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Amounts leave the API in major units
+CouponSchema.set("toJSON", {
+  transform: moneyToJSON({
+    value: (coupon) => coupon.type === "fixed",
+    minSubtotal: true,
+  }),
+});
+
+const Coupon = mongoose.model("Coupon", CouponSchema);
+
+module.exports = Coupon;
@@ -0,0 +1,37 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One use of a coupon by an order, used to enforce per-client limits
+const CouponRedemptionSchema = new Schema({
+  couponId: {
+    type: Schema.Types.ObjectId,
+    ref: "Coupon",
+    required: true,
+  },
+  clientId: {
+    type: Schema.Types.ObjectId,
+    ref: "Client",
+    required: true,
+  },
+  orderId: {
+    type: Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+    unique: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+CouponRedemptionSchema.index({ couponId: 1, clientId: 1 });
+
+const CouponRedemption = mongoose.model(
+  "CouponRedemption",
+  CouponRedemptionSchema
+);
+
+module.exports = CouponRedemption;
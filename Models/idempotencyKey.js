@@ -0,0 +1,57 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const IdempotencyKeySchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  // Keys are scoped per user so two clients can't collide
+  userId: {
+    type: String,
+    default: "",
+  },
+  route: {
+    type: String,
+    required: true,
+  },
+  requestHash: {
+    type: String,
+    required: true,
+  },
+  state: {
+    type: String,
+    enum: ["processing", "completed"],
+    default: "processing",
+  },
+  // A "processing" key whose lock has expired belongs to a request that
+  // never finished and can be taken over by a retry
+  lockedUntil: {
+    type: Date,
+  },
+  response: {
+    status: {
+      type: Number,
+    },
+    body: {
+      type: Schema.Types.Mixed,
+    },
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+});
+
+IdempotencyKeySchema.index({ key: 1, userId: 1 }, { unique: true });
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", IdempotencyKeySchema);
+
+module.exports = IdempotencyKey;
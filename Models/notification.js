@@ -0,0 +1,88 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One message sent, or being sent, to a client about an order
+const NotificationSchema = new Schema({
+  // Identifies the message so it's sent once, e.g. the id of the order
+  // event it was sent for followed by the channel
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  orderId: {
+    type: Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+  },
+  clientId: {
+    type: Schema.Types.ObjectId,
+    ref: "Client",
+    required: true,
+  },
+  channel: {
+    type: String,
+    enum: ["email", "sms"],
+    required: true,
+  },
+  template: {
+    type: String,
+    required: true,
+  },
+  locale: {
+    type: String,
+    required: true,
+  },
+  to: {
+    type: String,
+    required: true,
+  },
+  subject: {
+    type: String,
+  },
+  text: {
+    type: String,
+    required: true,
+  },
+  // "skipped" when the transport only logged the message, e.g. the
+  // console transport used when none is configured
+  status: {
+    type: String,
+    enum: ["sending", "sent", "skipped", "failed"],
+    default: "sending",
+  },
+  // A message still "sending" after this was abandoned, e.g. by a crash,
+  // and can be claimed again
+  lockedUntil: {
+    type: Date,
+  },
+  attempts: {
+    type: Number,
+    default: 1,
+  },
+  transport: {
+    type: String,
+  },
+  // Id the transport gave the message, if any
+  messageId: {
+    type: String,
+  },
+  error: {
+    type: String,
+  },
+  sentAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+NotificationSchema.index({ orderId: 1, createdAt: -1 });
+
+const Notification = mongoose.model("Notification", NotificationSchema);
+
+module.exports = Notification;
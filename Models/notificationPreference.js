@@ -0,0 +1,38 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// How a client wants to hear about their orders. Clients without a
+// preference get every channel in the default language.
+const NotificationPreferenceSchema = new Schema({
+  clientId: {
+    type: Schema.Types.ObjectId,
+    ref: "Client",
+    required: true,
+    unique: true,
+  },
+  email: {
+    type: Boolean,
+    default: true,
+  },
+  sms: {
+    type: Boolean,
+    default: true,
+  },
+  locale: {
+    type: String,
+    enum: ["pt", "en"],
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const NotificationPreference = mongoose.model(
+  "NotificationPreference",
+  NotificationPreferenceSchema
+);
+
+module.exports = NotificationPreference;
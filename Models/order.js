@@ -2,7 +2,11 @@
 
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const { STATUSES } = require("../Utils/orderStatus");
+const { ORDER_PAYMENT_STATUSES } = require("../Utils/paymentMethods");
+const { moneyToJSON } = require("../Utils/money");
 
+// Money fields hold integer cents in the order's currency; see Utils/money.js
 const OrderSchema = new Schema({
   items: [
     {
@@ -26,12 +30,91 @@ const OrderSchema = new Schema({
           return this.productId ? true : false;
         },
       },
+      // Minutes a service takes, used to book the appointment
+      duration: {
+        type: Number,
+      },
+      // Catalogue category, which decides the VAT rate
+      category: {
+        type: String,
+      },
+      // price × quantity before discounts
+      subtotal: {
+        type: Number,
+      },
+      // Promotion and coupon discounts taken off this line
+      discount: {
+        type: Number,
+      },
+      taxRate: {
+        type: Number,
+      },
+      tax: {
+        type: Number,
+      },
+      // subtotal - discount; tax is the VAT included in it
+      total: {
+        type: Number,
+      },
     },
   ],
+  // Sum of the line subtotals, before discounts. Prices include VAT, so
+  // total is subtotal - discount and tax the VAT part of it. Orders placed
+  // before discounts and tax existed only have a total.
+  subtotal: {
+    type: Number,
+  },
+  discount: {
+    type: Number,
+  },
+  tax: {
+    type: Number,
+  },
   total: {
     type: Number,
     required: true,
   },
+  // ISO 4217 code of every amount on the order. Orders without one were
+  // placed before amounts were stored in cents and still hold major units
+  // until scripts/migrateMoneyToCents.js converts them.
+  currency: {
+    type: String,
+  },
+  // Terms of the coupon used on the order, kept so re-pricing the order
+  // honours them even if the coupon changes later
+  coupon: {
+    couponId: {
+      type: Schema.Types.ObjectId,
+      ref: "Coupon",
+    },
+    code: {
+      type: String,
+    },
+    type: {
+      type: String,
+      enum: ["percentage", "fixed"],
+    },
+    value: {
+      type: Number,
+    },
+    amount: {
+      type: Number,
+    },
+  },
+  promotions: [
+    {
+      promotionId: {
+        type: Schema.Types.ObjectId,
+        ref: "Promotion",
+      },
+      name: {
+        type: String,
+      },
+      amount: {
+        type: Number,
+      },
+    },
+  ],
   client: {
     _id: {
       type: Schema.Types.ObjectId,
@@ -66,14 +149,30 @@ const OrderSchema = new Schema({
       required: true,
     },
   },
+  // Payment method chosen by the client, one of PAYMENT_METHODS for new
+  // orders. Older orders may hold free text.
   paymentType: {
     type: String,
     required: true,
   },
+  paymentStatus: {
+    type: String,
+    enum: ORDER_PAYMENT_STATUSES,
+    default: "unpaid",
+  },
+  // Captured minus refunded amount over all payments of the order
+  amountPaid: {
+    type: Number,
+    default: 0,
+  },
   appointmentDate: {
     type: Date,
     required: false,
   },
+  appointmentEnd: {
+    type: Date,
+    required: false,
+  },
   location: {
     type: String,
     required: false,
@@ -87,8 +186,154 @@ const OrderSchema = new Schema({
     required: true,
     unique: true,
   },
+  // Issues raised by upstream changes that need a look before the order
+  // goes ahead, e.g. an item that was repriced or discontinued
+  flags: [
+    {
+      type: {
+        type: String,
+        enum: [
+          "item_repriced",
+          "item_discontinued",
+          "store_closed",
+          "client_deleted",
+        ],
+        required: true,
+      },
+      productId: {
+        type: Schema.Types.ObjectId,
+      },
+      serviceId: {
+        type: Schema.Types.ObjectId,
+      },
+      currentPrice: {
+        type: Number,
+      },
+      raisedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      resolvedAt: {
+        type: Date,
+      },
+    },
+  ],
+  stockReserved: {
+    type: Boolean,
+    default: false,
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: "pending",
+    index: true,
+  },
+  statusHistory: [
+    {
+      from: {
+        type: String,
+        enum: STATUSES,
+      },
+      to: {
+        type: String,
+        enum: STATUSES,
+        required: true,
+      },
+      changedBy: {
+        _id: {
+          type: String,
+        },
+        role: {
+          type: Number,
+        },
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      note: {
+        type: String,
+      },
+    },
+  ],
+  // Set whenever a return is requested. Requests write it so that two of
+  // them for the same order conflict instead of both passing the
+  // returnable quantity check.
+  lastReturnAt: {
+    type: Date,
+  },
+  // Set when the order is deleted. Deleted orders are kept as financial
+  // records but hidden from every query unless includeDeleted is set.
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    _id: {
+      type: String,
+    },
+    role: {
+      type: Number,
+    },
+  },
 });
 
+/**
+ * Hides deleted orders from finds, counts and aggregations. Queries opt
+ * out with setOptions({ includeDeleted: true }) or by filtering on
+ * deletedAt themselves; aggregations with option("includeDeleted").
+ */
+function excludeDeleted() {
+  if (this.getOptions().includeDeleted) return;
+  if (this.getFilter().deletedAt !== undefined) return;
+  this.where({ deletedAt: null });
+}
+
+OrderSchema.pre(
+  ["find", "findOne", "countDocuments", "findOneAndUpdate"],
+  excludeDeleted
+);
+OrderSchema.pre("aggregate", function () {
+  if (this.options.includeDeleted) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+// Amounts leave the API in major units. Orders not migrated yet already
+// hold major units and are left as they are.
+const isAmount = (coupon) => coupon.type === "fixed";
+const amountsToJSON = moneyToJSON({
+  "items.price": true,
+  "items.subtotal": true,
+  "items.discount": true,
+  "items.tax": true,
+  "items.total": true,
+  subtotal: true,
+  discount: true,
+  tax: true,
+  total: true,
+  "coupon.value": isAmount,
+  "coupon.amount": true,
+  "promotions.amount": true,
+  amountPaid: true,
+  "flags.currentPrice": true,
+});
+OrderSchema.set("toJSON", {
+  transform: (doc, ret) => (ret.currency ? amountsToJSON(doc, ret) : ret),
+});
+
+// Indexes backing the filters and sorts of GET /order
+OrderSchema.index({ createdAt: -1, _id: -1 });
+OrderSchema.index({ "store._id": 1, createdAt: -1 });
+OrderSchema.index({ "client._id": 1, createdAt: -1 });
+OrderSchema.index({ appointmentDate: 1 });
+OrderSchema.index({ paymentType: 1 });
+OrderSchema.index({ total: 1 });
+OrderSchema.index({ "items.productId": 1 });
+OrderSchema.index({ "items.serviceId": 1 });
+OrderSchema.index({ "client.email": 1 });
+OrderSchema.index({ deletedAt: 1 });
+OrderSchema.index({ status: 1, createdAt: 1 });
+
 const Order = mongoose.model("Order", OrderSchema);
 
 module.exports = Order;
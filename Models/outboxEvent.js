@@ -0,0 +1,59 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Events waiting to be published to the message broker. They are written
+// in the same transaction as the order change they describe.
+const OutboxEventSchema = new Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+  aggregateId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+  },
+  payload: {
+    type: Schema.Types.Mixed,
+    required: true,
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "published"],
+    default: "pending",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // Set while a publisher is sending the event so replicas don't both send it
+  lockedUntil: {
+    type: Date,
+  },
+  lastError: {
+    type: String,
+  },
+  publishedAt: {
+    type: Date,
+  },
+});
+
+OutboxEventSchema.index({ status: 1, occurredAt: 1 });
+
+const OutboxEvent = mongoose.model("OutboxEvent", OutboxEventSchema);
+
+module.exports = OutboxEvent;
@@ -0,0 +1,109 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const { moneyToJSON } = require("../Utils/money");
+const {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+} = require("../Utils/paymentMethods");
+
+const PaymentSchema = new Schema({
+  orderId: {
+    type: Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+    index: true,
+  },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: true,
+  },
+  // In cents, like every amount of a payment
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  currency: {
+    type: String,
+    default: "EUR",
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: "requires_payment",
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  providerPaymentId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Handed to the client to complete the payment with the provider
+  clientSecret: {
+    type: String,
+    select: false,
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0,
+  },
+  refunds: [
+    {
+      amount: {
+        type: Number,
+        required: true,
+      },
+      reason: {
+        type: String,
+      },
+      providerRefundId: {
+        type: String,
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  failureReason: {
+    type: String,
+  },
+  // Provider webhook events already applied, so redeliveries are ignored
+  processedEvents: [
+    {
+      type: String,
+    },
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+PaymentSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Amounts leave the API in major units
+PaymentSchema.set("toJSON", {
+  transform: moneyToJSON({
+    amount: true,
+    amountRefunded: true,
+    "refunds.amount": true,
+  }),
+});
+
+const Payment = mongoose.model("Payment", PaymentSchema);
+
+module.exports = Payment;
@@ -0,0 +1,88 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const { moneyToJSON } = require("../Utils/money");
+
+// Discount applied automatically to matching order lines, without a code
+const PromotionSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // percentage: value is a percentage of the line; fixed: cents off each
+  // matching line
+  type: {
+    type: String,
+    enum: ["percentage", "fixed"],
+    required: true,
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Set when the promotion is created with amounts in cents. Promotions
+  // stored in major units have none until migrate:money converts them.
+  currency: {
+    type: String,
+  },
+  // Lines the promotion applies to. A line matches if its product,
+  // service or category is listed; every line matches when all are empty.
+  productIds: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+    },
+  ],
+  serviceIds: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: "Service",
+    },
+  ],
+  categories: [
+    {
+      type: String,
+    },
+  ],
+  // Stores the promotion runs at; every store when empty
+  storeIds: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: "Store",
+    },
+  ],
+  startsAt: {
+    type: Date,
+  },
+  endsAt: {
+    type: Date,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+PromotionSchema.index({ active: 1, startsAt: 1, endsAt: 1 });
+
+// Amounts leave the API in major units
+PromotionSchema.set("toJSON", {
+  transform: moneyToJSON({
+    value: (promotion) => promotion.type === "fixed",
+  }),
+});
+
+const Promotion = mongoose.model("Promotion", PromotionSchema);
+
+module.exports = Promotion;
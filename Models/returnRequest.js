@@ -0,0 +1,88 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const { moneyToJSON } = require("../Utils/money");
+
+const actor = {
+  _id: {
+    type: String,
+  },
+  role: {
+    type: Number,
+  },
+};
+
+// A request to send back product lines of a fulfilled order. Approved
+// returns put the units back into stock and refund what they cost.
+const ReturnRequestSchema = new Schema({
+  orderId: {
+    type: Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+  },
+  items: [
+    {
+      _id: false,
+      productId: {
+        type: Schema.Types.ObjectId,
+        ref: "Product",
+        required: true,
+      },
+      name: {
+        type: String,
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+      },
+      reason: {
+        type: String,
+        required: true,
+      },
+    },
+  ],
+  status: {
+    type: String,
+    enum: ["requested", "approved", "rejected"],
+    default: "requested",
+  },
+  requestedBy: actor,
+  decidedBy: actor,
+  decidedAt: {
+    type: Date,
+  },
+  // Why the return was approved or rejected
+  decisionNote: {
+    type: String,
+  },
+  // Approval restocks and then refunds; each is recorded once done so an
+  // approval that failed half way doesn't repeat it when retried
+  restockedAt: {
+    type: Date,
+  },
+  // Cents refunded to the client's payments for the returned units
+  refundedAmount: {
+    type: Number,
+  },
+  refundedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ReturnRequestSchema.index({ orderId: 1, createdAt: -1 });
+ReturnRequestSchema.index({ status: 1, createdAt: -1, _id: -1 });
+
+// Amounts leave the API in major units
+ReturnRequestSchema.set("toJSON", {
+  transform: moneyToJSON({ refundedAmount: true }),
+});
+
+const ReturnRequest = mongoose.model("ReturnRequest", ReturnRequestSchema);
+
+module.exports = ReturnRequest;
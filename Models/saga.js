@@ -0,0 +1,74 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const SAGA_STATES = [
+  "running",
+  "completed",
+  "compensating",
+  "compensated",
+  "failed",
+];
+
+const STEP_STATES = ["pending", "running", "done", "compensated", "failed"];
+
+const SagaSchema = new Schema({
+  type: {
+    type: String,
+    required: true,
+  },
+  state: {
+    type: String,
+    enum: SAGA_STATES,
+    default: "running",
+    index: true,
+  },
+  // Data the steps need to run or compensate, e.g. the order being placed
+  context: {
+    type: Schema.Types.Mixed,
+    default: {},
+  },
+  steps: [
+    {
+      name: {
+        type: String,
+        required: true,
+      },
+      status: {
+        type: String,
+        enum: STEP_STATES,
+        default: "pending",
+      },
+      startedAt: {
+        type: Date,
+      },
+      finishedAt: {
+        type: Date,
+      },
+      error: {
+        type: String,
+      },
+    },
+  ],
+  error: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+SagaSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const Saga = mongoose.model("Saga", SagaSchema);
+
+module.exports = Saga;
@@ -0,0 +1,39 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One document per occupied seat of a store's time slot. The unique index
+// makes two orders unable to take the same seat, even when booked at once.
+const SlotBookingSchema = new Schema({
+  storeId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+  },
+  slotStart: {
+    type: Date,
+    required: true,
+  },
+  seat: {
+    type: Number,
+    required: true,
+  },
+  orderId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    index: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+SlotBookingSchema.index(
+  { storeId: 1, slotStart: 1, seat: 1 },
+  { unique: true }
+);
+
+const SlotBooking = mongoose.model("SlotBooking", SlotBookingSchema);
+
+module.exports = SlotBooking;
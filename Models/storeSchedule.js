@@ -0,0 +1,67 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Opening hours and booking capacity of a store. Times are local to the
+// store's timezone.
+const StoreScheduleSchema = new Schema({
+  storeId: {
+    type: Schema.Types.ObjectId,
+    ref: "Store",
+    required: true,
+    unique: true,
+  },
+  timezone: {
+    type: String,
+    default: "Europe/Lisbon",
+  },
+  slotMinutes: {
+    type: Number,
+    default: 30,
+    min: 5,
+  },
+  // How many appointments can take place at the same time
+  capacity: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  openingHours: [
+    {
+      // 0 = Sunday ... 6 = Saturday
+      day: {
+        type: Number,
+        min: 0,
+        max: 6,
+        required: true,
+      },
+      open: {
+        type: String,
+        match: TIME,
+        required: true,
+      },
+      close: {
+        type: String,
+        match: TIME,
+        required: true,
+      },
+    },
+  ],
+  // Local dates (YYYY-MM-DD) the store is closed, e.g. holidays
+  closedDates: [
+    {
+      type: String,
+    },
+  ],
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const StoreSchedule = mongoose.model("StoreSchedule", StoreScheduleSchema);
+
+module.exports = StoreSchedule;
@@ -0,0 +1,29 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// VAT rate charged on products and services of a category
+const TaxRateSchema = new Schema({
+  category: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  // Fraction of the discounted line amount, e.g. 0.23 for 23%
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const TaxRate = mongoose.model("TaxRate", TaxRateSchema);
+
+module.exports = TaxRate;
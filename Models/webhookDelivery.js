@@ -0,0 +1,92 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One order event to be sent to one webhook, with every attempt made
+const WebhookDeliverySchema = new Schema({
+  subscriptionId: {
+    type: Schema.Types.ObjectId,
+    ref: "WebhookSubscription",
+    required: true,
+  },
+  storeId: {
+    type: Schema.Types.ObjectId,
+    ref: "Store",
+    required: true,
+  },
+  eventId: {
+    type: String,
+    required: true,
+  },
+  eventType: {
+    type: String,
+    required: true,
+  },
+  // The order event as published, sent as the request body
+  payload: {
+    type: Schema.Types.Mixed,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "succeeded", "failed"],
+    default: "pending",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Set while a dispatcher is sending it so replicas don't both send it
+  lockedUntil: {
+    type: Date,
+  },
+  attemptLog: [
+    {
+      _id: false,
+      at: {
+        type: Date,
+      },
+      url: {
+        type: String,
+      },
+      responseStatus: {
+        type: Number,
+      },
+      error: {
+        type: String,
+      },
+      durationMs: {
+        type: Number,
+      },
+    },
+  ],
+  lastError: {
+    type: String,
+  },
+  deliveredAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+WebhookDeliverySchema.index(
+  { subscriptionId: 1, eventId: 1 },
+  { unique: true }
+);
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1, _id: -1 });
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  WebhookDeliverySchema
+);
+
+module.exports = WebhookDelivery;
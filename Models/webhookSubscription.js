@@ -0,0 +1,62 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A URL a store wants order events of its orders sent to
+const WebhookSubscriptionSchema = new Schema({
+  storeId: {
+    type: Schema.Types.ObjectId,
+    ref: "Store",
+    required: true,
+    index: true,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+  // Event types to send, e.g. "order.created"
+  events: [
+    {
+      type: String,
+    },
+  ],
+  // Key the payloads are signed with; only shown when the webhook is created
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    _id: {
+      type: String,
+    },
+    role: {
+      type: Number,
+    },
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+WebhookSubscriptionSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const WebhookSubscription = mongoose.model(
+  "WebhookSubscription",
+  WebhookSubscriptionSchema
+);
+
+module.exports = WebhookSubscription;
@@ -1,53 +1,389 @@
 const express = require("express");
 const router = express.Router();
 const orderController = require("../Controllers/orderController");
+const statsController = require("../Controllers/statsController");
+const exportController = require("../Controllers/exportController");
+const scheduleController = require("../Controllers/scheduleController");
+const paymentController = require("../Controllers/paymentController");
+const pricingController = require("../Controllers/pricingController");
+const auditController = require("../Controllers/auditController");
+const returnController = require("../Controllers/returnController");
+const notificationController = require("../Controllers/notificationController");
+const webhookController = require("../Controllers/webhookController");
 const jwt = require("jsonwebtoken");
+const { ROLES } = require("../Utils/orderPolicy");
+const { HttpError, sendError } = require("../Utils/httpError");
+const idempotency = require("../Middlewares/idempotency");
+const validate = require("../Middlewares/validate");
+const schemas = require("../Validators/orderSchemas");
 
 function checkToken(req, res, next) {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
 
   if (!token) {
-    return res.status(401).json({ msg: "Token inválida" });
+    return sendError(res, new HttpError(401, "Missing token"));
   }
 
   try {
     const secret = process.env.SECRET;
-    jwt.verify(token, secret);
-    next();
+    req.user = jwt.verify(token, secret);
   } catch (err) {
-    console.error("Error verifying token:", err);
-    res
-      .status(401)
-      .json({ msg: "Erro na verificação do token", error: err.message });
+    // jwt's reason isn't echoed, it only helps whoever forged the token
+    return sendError(res, new HttpError(401, "Invalid or expired token"));
   }
+  next();
 }
 
-function isAdmin(req, res, next) {
-  const usertoken = req.headers.authorization;
-  const token = usertoken.split(" ");
-  const tokenData = jwt.verify(token[1], process.env.SECRET);
-
-  if (tokenData.role == 3) next();
-  else res.status(403).json();
+// Builds a guard letting through the users whose role passes `allowed`.
+// Expects checkToken to have attached the decoded token to req.user.
+function requireRole(allowed, message) {
+  return (req, res, next) => {
+    if (req.user && allowed(Number(req.user.role))) return next();
+    sendError(res, new HttpError(403, message));
+  };
 }
 
-function isClient(req, res, next) {
-  const usertoken = req.headers.authorization;
-  const token = usertoken.split(" ");
-  const tokenData = jwt.verify(token[1], process.env.SECRET);
+const isAdmin = requireRole((role) => role === ROLES.ADMIN, "Admins only");
+const isClient = requireRole((role) => role === ROLES.CLIENT, "Clients only");
+const isStaffOrAdmin = requireRole(
+  (role) => [ROLES.STAFF, ROLES.ADMIN].includes(role),
+  "Staff and admins only"
+);
 
-  if (tokenData.role == 1) next();
-  else res.status(403).json();
-}
+// Called by the payment provider, which authenticates with a signature
+router.post("/payments/webhook", paymentController.PaymentWebhook);
+router.post(
+  "/payments/:paymentId/capture",
+  checkToken,
+  isStaffOrAdmin,
+  validate(schemas.capturePayment),
+  paymentController.CapturePayment
+);
+router.post(
+  "/payments/:paymentId/void",
+  checkToken,
+  isStaffOrAdmin,
+  validate(schemas.voidPayment),
+  paymentController.VoidPayment
+);
+router.post(
+  "/payments/:paymentId/refunds",
+  checkToken,
+  isAdmin,
+  validate(schemas.refundPayment),
+  idempotency,
+  paymentController.RefundPayment
+);
+router.post(
+  "/payments/:paymentId/simulate",
+  checkToken,
+  isAdmin,
+  validate(schemas.simulatePayment),
+  paymentController.SimulatePayment
+);
+router.post(
+  "/:id/payments",
+  checkToken,
+  validate(schemas.createPayment),
+  idempotency,
+  paymentController.CreatePayment
+);
+router.get(
+  "/:id/payments",
+  checkToken,
+  validate(schemas.readOrderPayments),
+  paymentController.ReadOrderPayments
+);
+
+router.get(
+  "/returns",
+  checkToken,
+  isAdmin,
+  validate(schemas.readReturns),
+  returnController.ReadReturns
+);
+router.post(
+  "/returns/:returnId/approve",
+  checkToken,
+  isAdmin,
+  validate(schemas.decideReturn),
+  returnController.ApproveReturn
+);
+router.post(
+  "/returns/:returnId/reject",
+  checkToken,
+  isAdmin,
+  validate(schemas.decideReturn),
+  returnController.RejectReturn
+);
+router.post(
+  "/:id/returns",
+  checkToken,
+  validate(schemas.requestReturn),
+  idempotency,
+  returnController.RequestReturn
+);
+router.get(
+  "/:id/returns",
+  checkToken,
+  validate(schemas.readOrderReturns),
+  returnController.ReadOrderReturns
+);
 
-router.post("/", checkToken, orderController.createOrder);
-router.post("/service", checkToken, orderController.createOrderService);
-router.put("/:id", checkToken, orderController.editOrder);
-router.delete("/:id", checkToken, isAdmin, orderController.RemoveOrder);
+router.post(
+  "/",
+  checkToken,
+  validate(schemas.createOrder),
+  idempotency,
+  orderController.createOrder
+);
+router.post(
+  "/service",
+  checkToken,
+  validate(schemas.createOrderService),
+  idempotency,
+  orderController.createOrderService
+);
+router.put(
+  "/:id",
+  checkToken,
+  validate(schemas.editOrder),
+  orderController.editOrder
+);
+router.put(
+  "/:id/status",
+  checkToken,
+  validate(schemas.updateOrderStatus),
+  orderController.UpdateOrderStatus
+);
+router.post(
+  "/:id/cancel",
+  checkToken,
+  validate(schemas.cancelOrder),
+  orderController.CancelOrder
+);
+router.post(
+  "/:id/reschedule",
+  checkToken,
+  validate(schemas.rescheduleOrder),
+  orderController.RescheduleOrder
+);
+router.get(
+  "/slots",
+  checkToken,
+  validate(schemas.readFreeSlots),
+  scheduleController.ReadFreeSlots
+);
+router.get(
+  "/schedule/:storeId",
+  checkToken,
+  validate(schemas.readStoreSchedule),
+  scheduleController.ReadStoreSchedule
+);
+router.put(
+  "/schedule/:storeId",
+  checkToken,
+  isAdmin,
+  validate(schemas.updateStoreSchedule),
+  scheduleController.UpdateStoreSchedule
+);
+router.get(
+  "/coupons",
+  checkToken,
+  isAdmin,
+  validate(schemas.readCoupons),
+  pricingController.ReadCoupons
+);
+router.post(
+  "/coupons",
+  checkToken,
+  isAdmin,
+  validate(schemas.createCoupon),
+  pricingController.CreateCoupon
+);
+router.put(
+  "/coupons/:couponId",
+  checkToken,
+  isAdmin,
+  validate(schemas.updateCoupon),
+  pricingController.UpdateCoupon
+);
+router.get(
+  "/promotions",
+  checkToken,
+  isAdmin,
+  validate(schemas.readPromotions),
+  pricingController.ReadPromotions
+);
+router.post(
+  "/promotions",
+  checkToken,
+  isAdmin,
+  validate(schemas.createPromotion),
+  pricingController.CreatePromotion
+);
+router.put(
+  "/promotions/:promotionId",
+  checkToken,
+  isAdmin,
+  validate(schemas.updatePromotion),
+  pricingController.UpdatePromotion
+);
+router.get("/tax-rates", checkToken, pricingController.ReadTaxRates);
+router.put(
+  "/tax-rates/:category",
+  checkToken,
+  isAdmin,
+  validate(schemas.updateTaxRate),
+  pricingController.UpdateTaxRate
+);
+router.delete(
+  "/tax-rates/:category",
+  checkToken,
+  isAdmin,
+  validate(schemas.removeTaxRate),
+  pricingController.RemoveTaxRate
+);
+router.delete(
+  "/:id",
+  checkToken,
+  isAdmin,
+  validate(schemas.removeOrder),
+  orderController.RemoveOrder
+);
+router.post(
+  "/:id/restore",
+  checkToken,
+  isAdmin,
+  validate(schemas.restoreOrder),
+  orderController.RestoreOrder
+);
+router.get(
+  "/:id/audit",
+  checkToken,
+  isStaffOrAdmin,
+  validate(schemas.readOrderAudit),
+  auditController.ReadOrderAudit
+);
+router.get(
+  "/notifications/preferences/:clientId",
+  checkToken,
+  validate(schemas.readNotificationPreferences),
+  notificationController.ReadNotificationPreferences
+);
+router.put(
+  "/notifications/preferences/:clientId",
+  checkToken,
+  validate(schemas.updateNotificationPreferences),
+  notificationController.UpdateNotificationPreferences
+);
+router.get(
+  "/:id/notifications",
+  checkToken,
+  isStaffOrAdmin,
+  validate(schemas.readOrderNotifications),
+  notificationController.ReadOrderNotifications
+);
+router.get(
+  "/webhooks",
+  checkToken,
+  isStaffOrAdmin,
+  validate(schemas.readWebhooks),
+  webhookController.ReadWebhooks
+);
+router.post(
+  "/webhooks",
+  checkToken,
+  isStaffOrAdmin,
+  validate(schemas.createWebhook),
+  webhookController.CreateWebhook
+);
+router.put(
+  "/webhooks/:webhookId",
+  checkToken,
+  isStaffOrAdmin,
+  validate(schemas.updateWebhook),
+  webhookController.UpdateWebhook
+);
+router.delete(
+  "/webhooks/:webhookId",
+  checkToken,
+  isStaffOrAdmin,
+  validate(schemas.removeWebhook),
+  webhookController.RemoveWebhook
+);
+router.get(
+  "/webhooks/:webhookId/deliveries",
+  checkToken,
+  isStaffOrAdmin,
+  validate(schemas.readWebhookDeliveries),
+  webhookController.ReadWebhookDeliveries
+);
+router.post(
+  "/webhooks/deliveries/:deliveryId/redeliver",
+  checkToken,
+  isStaffOrAdmin,
+  validate(schemas.redeliverWebhook),
+  webhookController.RedeliverWebhook
+);
 router.get("/count", checkToken, orderController.CountOrders);
-router.get("/:id", checkToken, orderController.ReadOrder);
-router.get("/", checkToken, orderController.ReadOrders);
-router.get("/client/:clientId", checkToken, orderController.ReadClientOrders);
+router.get(
+  "/stats",
+  checkToken,
+  isAdmin,
+  validate(schemas.readOrderStats),
+  statsController.ReadOrderStats
+);
+router.get(
+  "/stats/top-items",
+  checkToken,
+  isAdmin,
+  validate(schemas.readTopItems),
+  statsController.ReadTopItems
+);
+router.get(
+  "/stats/top-clients",
+  checkToken,
+  isAdmin,
+  validate(schemas.readTopClients),
+  statsController.ReadTopClients
+);
+router.get(
+  "/export",
+  checkToken,
+  validate(schemas.exportOrders),
+  exportController.ExportOrders
+);
+router.get(
+  "/:id/invoice",
+  checkToken,
+  validate(schemas.readOrderInvoice),
+  exportController.ReadOrderInvoice
+);
+router.get(
+  "/number/:orderNumber",
+  checkToken,
+  validate(schemas.readOrderByNumber),
+  orderController.ReadOrderByNumber
+);
+router.get(
+  "/:id",
+  checkToken,
+  validate(schemas.readOrder),
+  orderController.ReadOrder
+);
+router.get(
+  "/",
+  checkToken,
+  validate(schemas.readOrders),
+  orderController.ReadOrders
+);
+router.get(
+  "/client/:clientId",
+  checkToken,
+  validate(schemas.readClientOrders),
+  orderController.ReadClientOrders
+);
 
 module.exports = router;
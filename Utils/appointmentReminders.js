@@ -0,0 +1,79 @@
+"use strict";
+
+const Order = require("../Models/order");
+const { notifyClient } = require("./notifications");
+
+const DEFAULT_HOURS_BEFORE = 24;
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+
+// Appointments of orders in these statuses are still going to happen
+const REMINDED_STATUSES = ["pending", "confirmed", "paid"];
+
+let timer = null;
+let running = null;
+
+function hoursBefore() {
+  const value = parseInt(process.env.REMINDER_HOURS_BEFORE);
+  return isNaN(value) ? DEFAULT_HOURS_BEFORE : value;
+}
+
+/**
+ * Reminds clients of appointments starting within REMINDER_HOURS_BEFORE
+ * hours. Each appointment is reminded once; a rescheduled one is reminded
+ * again for its new date. Returns the number of orders looked at.
+ */
+async function sendAppointmentReminders(now = new Date()) {
+  const until = new Date(now.getTime() + hoursBefore() * 3600000);
+  const orders = await Order.find({
+    status: { $in: REMINDED_STATUSES },
+    appointmentDate: { $gt: now, $lte: until },
+  }).lean();
+
+  for (const order of orders) {
+    try {
+      await notifyClient("appointment_reminder", order, {
+        key: `reminder:${order._id}:${order.appointmentDate.toISOString()}`,
+      });
+    } catch (error) {
+      console.error(`Error reminding order ${order._id}:`, error.message);
+    }
+  }
+  return orders.length;
+}
+
+// Runs a reminder pass unless one is already in progress.
+function run() {
+  if (!running) {
+    running = sendAppointmentReminders()
+      .catch((error) => console.error("Error sending reminders:", error))
+      .finally(() => {
+        running = null;
+      });
+  }
+  return running;
+}
+
+/**
+ * Sends appointment reminders now and then every REMINDER_INTERVAL_MS
+ * (15 minutes by default). Setting REMINDER_HOURS_BEFORE to 0 turns
+ * reminders off.
+ */
+function startAppointmentReminders() {
+  if (hoursBefore() <= 0) return;
+
+  const interval =
+    parseInt(process.env.REMINDER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  timer = setInterval(run, interval);
+  run();
+}
+
+async function stopAppointmentReminders() {
+  clearInterval(timer);
+  if (running) await running;
+}
+
+module.exports = {
+  sendAppointmentReminders,
+  startAppointmentReminders,
+  stopAppointmentReminders,
+};
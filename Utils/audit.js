@@ -0,0 +1,108 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const AuditEntry = require("../Models/auditEntry");
+
+// Bookkeeping fields left out of diffs; status changes are audited
+// through the status field itself
+const IGNORED_FIELDS = ["_id", "__v", "statusHistory"];
+
+function plain(doc) {
+  if (!doc) return {};
+  return typeof doc.toObject === "function" ? doc.toObject() : doc;
+}
+
+function leafValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  return value;
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !(value instanceof Date) &&
+    !(value instanceof mongoose.Types.ObjectId)
+  );
+}
+
+// Flattens a document into { "items.0.quantity": 2, ... }. The _id of
+// array entries is skipped, it changes whenever items are replaced.
+function flatten(value, prefix, out, inArray = false) {
+  if (Array.isArray(value)) {
+    if (value.length === 0 && prefix) out[prefix] = [];
+    value.forEach((entry, index) =>
+      flatten(entry, `${prefix}.${index}`, out, true)
+    );
+  } else if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      if (inArray && key === "_id") continue;
+      flatten(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (value !== undefined) {
+    out[prefix] = leafValue(value);
+  }
+  return out;
+}
+
+/**
+ * Field-level differences between two versions of an order, as a list of
+ * { field, from, to } with dotted field paths. Either side can be missing,
+ * e.g. for a created order.
+ */
+function diffOrders(before, after) {
+  const strip = (doc) => {
+    const copy = { ...plain(doc) };
+    for (const field of IGNORED_FIELDS) delete copy[field];
+    return copy;
+  };
+  const from = flatten(strip(before), "", {});
+  const to = flatten(strip(after), "", {});
+
+  const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+  const changes = [];
+  for (const field of [...fields].sort()) {
+    if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+      changes.push({ field, from: from[field], to: to[field] });
+    }
+  }
+  return changes;
+}
+
+// Method and path of a request, stored as the route of audit entries
+function requestRoute(req) {
+  return `${req.method} ${req.originalUrl.split("?")[0]}`;
+}
+
+/**
+ * Appends an audit entry for a change to an order. Pass the session of the
+ * transaction that changes the order so the entry is only stored if the
+ * change is, and the order before and after the change.
+ */
+async function recordAudit(
+  action,
+  { before, after, actor, route, note },
+  session
+) {
+  const order = after || before;
+  await AuditEntry.create(
+    [
+      {
+        orderId: order._id,
+        action,
+        actor,
+        route,
+        note,
+        changes: diffOrders(before, after),
+      },
+    ],
+    { session }
+  );
+}
+
+module.exports = {
+  diffOrders,
+  requestRoute,
+  recordAudit,
+};
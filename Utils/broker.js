@@ -0,0 +1,47 @@
+"use strict";
+
+// LOGS_URI is configured without a scheme, e.g. guest:guest@localhost:5672/
+function brokerUrl() {
+  const uri = process.env.LOGS_URI;
+  if (!uri) return null;
+  return uri.startsWith("amqp") ? uri : `amqp://${uri}`;
+}
+
+const DEFAULT_DEAD_LETTER_EXCHANGE = "orders.dead-letter";
+
+/**
+ * Declares a durable queue whose rejected messages are dead-lettered to
+ * `${queue}.dead` through DEAD_LETTER_EXCHANGE, where they're kept for
+ * inspection or replay instead of being lost.
+ */
+async function assertQueueWithDeadLetter(channel, queue) {
+  const exchange =
+    process.env.DEAD_LETTER_EXCHANGE || DEFAULT_DEAD_LETTER_EXCHANGE;
+  await channel.assertExchange(exchange, "direct", { durable: true });
+  await channel.assertQueue(`${queue}.dead`, { durable: true });
+  await channel.bindQueue(`${queue}.dead`, exchange, queue);
+  await channel.assertQueue(queue, {
+    durable: true,
+    deadLetterExchange: exchange,
+    deadLetterRoutingKey: queue,
+  });
+}
+
+/**
+ * Rejects a message that couldn't be handled: it's requeued for one more
+ * try, and dead-lettered if that fails too so it can't block the queue.
+ */
+function rejectMessage(channel, msg) {
+  if (!msg.fields.redelivered) return channel.nack(msg, false, true);
+
+  console.error(
+    `Dead-lettering ${msg.fields.routingKey} message after a failed retry`
+  );
+  channel.nack(msg, false, false);
+}
+
+module.exports = {
+  brokerUrl,
+  assertQueueWithDeadLetter,
+  rejectMessage,
+};
@@ -0,0 +1,112 @@
+"use strict";
+
+const DEFAULT_TTL_MS = 30 * 1000;
+const DEFAULT_MAX_ENTRIES = 5000;
+
+/**
+ * In-process cache store. Entries expire after their TTL and the oldest
+ * entries are evicted past `maxEntries`. Other stores (e.g. Redis) can be
+ * plugged in with setCacheStore as long as they implement the same async
+ * get/set/delete/deletePrefix/clear methods.
+ */
+function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async deletePrefix(prefix) {
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) entries.delete(key);
+      }
+    },
+
+    async clear() {
+      entries.clear();
+    },
+  };
+}
+
+let store = createMemoryStore();
+
+// Loads in flight, so concurrent lookups of the same key share one call
+const pending = new Map();
+
+function setCacheStore(newStore) {
+  store = newStore;
+}
+
+function ttl() {
+  const value = parseInt(process.env.CACHE_TTL_MS);
+  return isNaN(value) ? DEFAULT_TTL_MS : value;
+}
+
+/**
+ * Returns the cached value for `key`, calling `load` on a miss and caching
+ * its result for CACHE_TTL_MS (0 disables caching). Duplicate lookups made
+ * while a load is running wait for that load instead of starting another.
+ */
+async function cached(key, load) {
+  if (ttl() <= 0) return load();
+
+  const hit = await store.get(key);
+  if (hit !== undefined) return hit;
+
+  if (pending.has(key)) return pending.get(key);
+
+  const promise = (async () => {
+    try {
+      const value = await load();
+      if (value !== undefined && value !== null) {
+        await store.set(key, value, ttl());
+      }
+      return value;
+    } finally {
+      pending.delete(key);
+    }
+  })();
+
+  pending.set(key, promise);
+  return promise;
+}
+
+function invalidate(key) {
+  return store.delete(key);
+}
+
+function invalidatePrefix(prefix) {
+  return store.deletePrefix(prefix);
+}
+
+function clearCache() {
+  return store.clear();
+}
+
+module.exports = {
+  createMemoryStore,
+  setCacheStore,
+  cached,
+  invalidate,
+  invalidatePrefix,
+  clearCache,
+};
@@ -0,0 +1,150 @@
+"use strict";
+
+const crypto = require("crypto");
+const { HttpError } = require("./httpError");
+const downstream = require("./serviceClient");
+const { cached, invalidatePrefix } = require("./cache");
+const { toCents } = require("./money");
+
+// Client details are fetched with the caller's token, so they are cached
+// per token rather than shared between callers.
+function tokenKey(token) {
+  return crypto
+    .createHash("sha256")
+    .update(token || "")
+    .digest("hex")
+    .slice(0, 16);
+}
+
+async function fetchClient(clientId, token) {
+  return cached(`client:${clientId}:${tokenKey(token)}`, () =>
+    downstream.auth.get(`/user/${clientId}`, {
+      token,
+      notFound: "Client not found",
+    })
+  );
+}
+
+async function fetchStore(storeId, token) {
+  return cached(`store:${storeId}`, async () => {
+    const data = await downstream.stores.get(`/stores/${storeId}`, {
+      token,
+      notFound: "Store not found",
+    });
+    return data.store;
+  });
+}
+
+async function fetchProduct(productId, token) {
+  return cached(`product:${productId}`, async () => {
+    const data = await downstream.products.get(`/product/${productId}`, {
+      token,
+      notFound: `Product ${productId} not found`,
+    });
+    return data.product;
+  });
+}
+
+async function fetchService(serviceId, token) {
+  return cached(`service:${serviceId}`, async () => {
+    const data = await downstream.services.get(`/service/${serviceId}`, {
+      token,
+      notFound: `Service ${serviceId} not found`,
+    });
+    return data.service;
+  });
+}
+
+/**
+ * Drops cached lookups of a client, store, product or service, e.g. when
+ * an event says it changed.
+ */
+function invalidateLookup(kind, id) {
+  return invalidatePrefix(`${kind}:${id}`);
+}
+
+function assertPrice(price, kind, entry) {
+  if (typeof price !== "number" || isNaN(price)) {
+    throw new Error(`Invalid price for ${kind}: ${JSON.stringify(entry)}`);
+  }
+}
+
+/**
+ * Looks up the current name, price and category of every item in the
+ * products and services services and computes the order total in cents.
+ * Products are charged price × quantity, services their price once. Prices
+ * include VAT; discounts are applied by priceOrder in pricing.js.
+ */
+async function priceItems(items, token) {
+  let total = 0;
+
+  const pricedItems = await Promise.all(
+    items.map(async (item, index) => {
+      const { productId, serviceId, quantity } = item;
+
+      if (productId) {
+        const product = await fetchProduct(productId, token);
+        assertPrice(product.price, "product", product);
+
+        if (typeof quantity !== "number" || isNaN(quantity) || quantity <= 0) {
+          throw new HttpError(422, "Invalid quantity for product", [
+            {
+              location: "body",
+              field: `items.${index}.quantity`,
+              message: "quantity must be a positive number",
+            },
+          ]);
+        }
+
+        const price = toCents(product.price);
+        total += price * quantity;
+        return {
+          productId,
+          quantity,
+          name: product.name,
+          price,
+          category: product.category || undefined,
+        };
+      }
+
+      if (serviceId) {
+        const service = await fetchService(serviceId, token);
+        assertPrice(service.price, "service", service);
+
+        const price = toCents(service.price);
+        total += price;
+        return {
+          serviceId,
+          name: service.name,
+          price,
+          category: service.category || undefined,
+          duration:
+            typeof service.duration === "number" ? service.duration : undefined,
+        };
+      }
+
+      throw new HttpError(422, "Invalid item in the order", [
+        {
+          location: "body",
+          field: `items.${index}`,
+          message: "item must have a productId or a serviceId",
+        },
+      ]);
+    })
+  );
+
+  if (isNaN(total)) {
+    throw new Error("Total calculation resulted in NaN");
+  }
+
+  return { items: pricedItems, total };
+}
+
+module.exports = {
+  fetchClient,
+  fetchStore,
+  fetchProduct,
+  fetchService,
+  priceItems,
+  invalidateLookup,
+};
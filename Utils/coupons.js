@@ -0,0 +1,106 @@
+"use strict";
+
+const Coupon = require("../Models/coupon");
+const CouponRedemption = require("../Models/couponRedemption");
+const { HttpError } = require("./httpError");
+
+function couponError(message) {
+  return new HttpError(422, message, [
+    { location: "body", field: "couponCode", message },
+  ]);
+}
+
+/**
+ * Finds the coupon for `code` and checks it can be used by the client at
+ * the store right now. Throws a 422 HttpError naming the problem
+ * otherwise. The usage limits are checked again when the coupon is
+ * redeemed, as other orders may use it in between.
+ */
+async function findUsableCoupon(code, { storeId, clientId, at = new Date() }) {
+  const coupon = await Coupon.findOne({
+    code: String(code).trim().toUpperCase(),
+  });
+
+  if (!coupon || !coupon.active) {
+    throw couponError("Coupon code is not valid");
+  }
+  if (coupon.startsAt && coupon.startsAt > at) {
+    throw couponError("Coupon code is not valid yet");
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= at) {
+    throw couponError("Coupon code has expired");
+  }
+  if (
+    coupon.storeIds.length > 0 &&
+    !coupon.storeIds.some((id) => String(id) === String(storeId))
+  ) {
+    throw couponError("Coupon code can't be used at this store");
+  }
+  if (coupon.maxUses && coupon.usedCount >= coupon.maxUses) {
+    throw couponError("Coupon code has been used up");
+  }
+  if (coupon.perClientLimit) {
+    const uses = await CouponRedemption.countDocuments({
+      couponId: coupon._id,
+      clientId,
+    });
+    if (uses >= coupon.perClientLimit) {
+      throw couponError("Coupon code was already used the maximum times");
+    }
+  }
+
+  return coupon;
+}
+
+/**
+ * Counts a use of the coupon by an order. The total usage limit is
+ * enforced atomically; redeeming twice for the same order is a no-op.
+ */
+async function redeemCoupon(couponId, clientId, orderId) {
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon) throw couponError("Coupon code is not valid");
+
+  if (coupon.perClientLimit) {
+    const uses = await CouponRedemption.countDocuments({
+      couponId,
+      clientId,
+      orderId: { $ne: orderId },
+    });
+    if (uses >= coupon.perClientLimit) {
+      throw couponError("Coupon code was already used the maximum times");
+    }
+  }
+
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [{ maxUses: null }, { $expr: { $lt: ["$usedCount", "$maxUses"] } }],
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  if (!updated) throw couponError("Coupon code has been used up");
+
+  try {
+    await CouponRedemption.create({ couponId, clientId, orderId });
+  } catch (error) {
+    await Coupon.updateOne({ _id: couponId }, { $inc: { usedCount: -1 } });
+    if (error.code !== 11000) throw error;
+  }
+}
+
+// Gives back the coupon use of an order, e.g. when it's cancelled
+async function releaseCoupon(orderId) {
+  const redemption = await CouponRedemption.findOneAndDelete({ orderId });
+  if (redemption) {
+    await Coupon.updateOne(
+      { _id: redemption.couponId },
+      { $inc: { usedCount: -1 } }
+    );
+  }
+}
+
+module.exports = {
+  findUsableCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
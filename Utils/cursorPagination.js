@@ -0,0 +1,119 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const { HttpError } = require("./httpError");
+
+/**
+ * Cursors are opaque to clients: base64url-encoded JSON holding the
+ * createdAt and _id of the boundary document and the direction to read in.
+ */
+function encodeCursor(doc, direction) {
+  const payload = {
+    c: doc.createdAt.toISOString(),
+    i: String(doc._id),
+    d: direction,
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const createdAt = new Date(payload.c);
+
+    if (
+      isNaN(createdAt.getTime()) ||
+      !mongoose.Types.ObjectId.isValid(payload.i) ||
+      !["next", "prev"].includes(payload.d)
+    ) {
+      throw new Error("Malformed cursor");
+    }
+
+    return {
+      createdAt,
+      _id: new mongoose.Types.ObjectId(payload.i),
+      direction: payload.d,
+    };
+  } catch (error) {
+    throw new HttpError(400, "Invalid cursor");
+  }
+}
+
+// Documents strictly after the boundary in the given sort direction.
+function after(boundary, ascending) {
+  const op = ascending ? "$gt" : "$lt";
+  return {
+    $or: [
+      { createdAt: { [op]: boundary.createdAt } },
+      { createdAt: boundary.createdAt, _id: { [op]: boundary._id } },
+    ],
+  };
+}
+
+/**
+ * Reads one page of `Model` matching `filter`, ordered by createdAt and _id,
+ * starting from an optional cursor. Returns the documents and a pagination
+ * object with nextCursor/prevCursor (null at either end). Counting all
+ * matching documents is skipped unless `includeTotal` is set.
+ * `queryOptions` are set on both queries, e.g. { includeDeleted: true }.
+ */
+async function paginateWithCursor(Model, filter, options) {
+  const {
+    cursor,
+    limit,
+    ascending = false,
+    includeTotal = false,
+    queryOptions = {},
+  } = options;
+  const boundary = cursor ? decodeCursor(cursor) : null;
+  const backwards = boundary ? boundary.direction === "prev" : false;
+
+  // Reading backwards flips the sort, the page is reversed afterwards
+  const readAscending = backwards ? !ascending : ascending;
+  const order = readAscending ? 1 : -1;
+  const query = boundary
+    ? { $and: [filter, after(boundary, readAscending)] }
+    : filter;
+
+  const docs = await Model.find(query)
+    .setOptions(queryOptions)
+    .sort({ createdAt: order, _id: order })
+    .limit(limit + 1);
+
+  const hasMore = docs.length > limit;
+  const page = docs.slice(0, limit);
+  if (backwards) page.reverse();
+
+  const first = page[0];
+  const last = page[page.length - 1];
+
+  const pagination = {
+    limit,
+    nextCursor: null,
+    prevCursor: null,
+  };
+
+  if (page.length > 0) {
+    if (backwards) {
+      pagination.nextCursor = encodeCursor(last, "next");
+      pagination.prevCursor = hasMore ? encodeCursor(first, "prev") : null;
+    } else {
+      pagination.nextCursor = hasMore ? encodeCursor(last, "next") : null;
+      pagination.prevCursor = boundary ? encodeCursor(first, "prev") : null;
+    }
+  }
+
+  if (includeTotal) {
+    pagination.totalOrders = await Model.countDocuments(filter).setOptions(
+      queryOptions
+    );
+  }
+
+  return { docs: page, pagination };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  paginateWithCursor,
+};
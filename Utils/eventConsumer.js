@@ -0,0 +1,104 @@
+"use strict";
+
+const amqp = require("amqplib");
+const mongoose = require("mongoose");
+const {
+  brokerUrl,
+  assertQueueWithDeadLetter,
+  rejectMessage,
+} = require("./broker");
+const { HANDLERS } = require("./snapshotSync");
+
+const DEFAULT_QUEUE = "orders.snapshot-sync";
+const RECONNECT_DELAY_MS = 5000;
+const PREFETCH = 10;
+
+// Exchange each upstream service publishes its events on
+const EXCHANGES = {
+  product: process.env.PRODUCTS_EVENTS_EXCHANGE || "products.events",
+  service: process.env.SERVICES_EVENTS_EXCHANGE || "services.events",
+  store: process.env.STORES_EVENTS_EXCHANGE || "stores.events",
+  client: process.env.AUTH_EVENTS_EXCHANGE || "auth.events",
+};
+
+let connection = null;
+let stopped = false;
+
+// Events carry the entity in `data`; bare entities are accepted too.
+function entityFrom(message) {
+  const entity = message.data || message;
+  const id = entity._id || entity.id;
+  if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+    throw new Error("Event has no valid entity id");
+  }
+  return { ...entity, _id: new mongoose.Types.ObjectId(id) };
+}
+
+async function handle(channel, msg) {
+  const routingKey = msg.fields.routingKey;
+
+  try {
+    const handler = HANDLERS[routingKey];
+    if (handler) {
+      await handler(entityFrom(JSON.parse(msg.content.toString())));
+    }
+    channel.ack(msg);
+  } catch (error) {
+    console.error(`Error handling ${routingKey} event:`, error.message);
+    rejectMessage(channel, msg);
+  }
+}
+
+async function connect() {
+  connection = await amqp.connect(brokerUrl());
+  connection.on("error", (err) => console.error("AMQP error:", err.message));
+  connection.on("close", () => {
+    connection = null;
+    if (!stopped) setTimeout(start, RECONNECT_DELAY_MS);
+  });
+
+  const channel = await connection.createChannel();
+  const queue = process.env.SNAPSHOT_SYNC_QUEUE || DEFAULT_QUEUE;
+  await assertQueueWithDeadLetter(channel, queue);
+  await channel.prefetch(PREFETCH);
+
+  for (const [entity, exchange] of Object.entries(EXCHANGES)) {
+    await channel.assertExchange(exchange, "topic", { durable: true });
+    await channel.bindQueue(queue, exchange, `${entity}.updated`);
+    await channel.bindQueue(queue, exchange, `${entity}.deleted`);
+  }
+
+  await channel.consume(queue, (msg) => msg && handle(channel, msg));
+}
+
+function start() {
+  connect().catch((error) => {
+    console.error("Error starting snapshot sync consumer:", error.message);
+    if (connection) connection.close().catch(() => {});
+    else if (!stopped) setTimeout(start, RECONNECT_DELAY_MS);
+  });
+}
+
+/**
+ * Starts consuming product, service, store and client events from the
+ * broker at LOGS_URI to keep order snapshots up to date. Reconnects when
+ * the broker goes away.
+ */
+function startEventConsumer() {
+  if (!brokerUrl()) {
+    console.warn("LOGS_URI is not set, order snapshots won't be synced.");
+    return;
+  }
+  stopped = false;
+  start();
+}
+
+async function stopEventConsumer() {
+  stopped = true;
+  if (connection) await connection.close();
+}
+
+module.exports = {
+  startEventConsumer,
+  stopEventConsumer,
+};
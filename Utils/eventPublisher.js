@@ -0,0 +1,160 @@
+"use strict";
+
+const amqp = require("amqplib");
+const OutboxEvent = require("../Models/outboxEvent");
+const { setRecordedListener } = require("./events");
+const { brokerUrl } = require("./broker");
+
+const DEFAULT_EXCHANGE = "orders.events";
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const LOCK_MS = 30 * 1000;
+const BATCH_SIZE = 50;
+
+let connection = null;
+let channel = null;
+let timer = null;
+let flushing = null;
+
+function exchangeName() {
+  return process.env.EVENTS_EXCHANGE || DEFAULT_EXCHANGE;
+}
+
+// Closes the connection after a failure and forgets it, so the next
+// publish starts afresh instead of leaving the old socket open.
+function resetConnection() {
+  const current = connection;
+  connection = null;
+  channel = null;
+  if (current) current.close().catch(() => {});
+}
+
+async function getChannel() {
+  if (channel) return channel;
+
+  const conn = await amqp.connect(brokerUrl());
+  connection = conn;
+  conn.on("error", (err) => console.error("AMQP error:", err.message));
+  conn.on("close", () => {
+    // A newer connection may already have replaced this one
+    if (connection !== conn) return;
+    connection = null;
+    channel = null;
+  });
+
+  try {
+    const ch = await conn.createConfirmChannel();
+    await ch.assertExchange(exchangeName(), "topic", { durable: true });
+    channel = ch;
+  } catch (error) {
+    resetConnection();
+    throw error;
+  }
+  return channel;
+}
+
+// Atomically takes the next pending event that no other publisher holds.
+function claimNext() {
+  const now = new Date();
+  return OutboxEvent.findOneAndUpdate(
+    {
+      status: "pending",
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+    },
+    {
+      $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      $inc: { attempts: 1 },
+    },
+    { sort: { occurredAt: 1 }, new: true }
+  );
+}
+
+async function publish(event) {
+  const ch = await getChannel();
+  ch.publish(
+    exchangeName(),
+    event.type,
+    Buffer.from(JSON.stringify(event.payload)),
+    {
+      persistent: true,
+      contentType: "application/json",
+      messageId: event.eventId,
+      type: event.type,
+      timestamp: Math.floor(event.occurredAt.getTime() / 1000),
+      headers: { version: event.version },
+    }
+  );
+  await ch.waitForConfirms();
+}
+
+/**
+ * Publishes pending outbox events until none are left or the broker fails.
+ * Failed events stay pending and are retried on the next run.
+ */
+async function flushOutbox() {
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const event = await claimNext();
+    if (!event) return;
+
+    try {
+      await publish(event);
+      await OutboxEvent.updateOne(
+        { _id: event._id },
+        {
+          $set: { status: "published", publishedAt: new Date() },
+          $unset: { lockedUntil: 1, lastError: 1 },
+        }
+      );
+    } catch (error) {
+      resetConnection();
+      await OutboxEvent.updateOne(
+        { _id: event._id },
+        { $set: { lastError: error.message }, $unset: { lockedUntil: 1 } }
+      );
+      throw error;
+    }
+  }
+}
+
+// Runs a flush unless one is already in progress.
+function flush() {
+  if (!flushing) {
+    flushing = flushOutbox()
+      .catch((error) =>
+        console.error("Error publishing order events:", error.message)
+      )
+      .finally(() => {
+        flushing = null;
+      });
+  }
+  return flushing;
+}
+
+/**
+ * Starts publishing the outbox to the broker at LOGS_URI, polling every
+ * EVENTS_POLL_INTERVAL_MS and whenever new events are recorded.
+ */
+function startEventPublisher() {
+  if (!brokerUrl()) {
+    console.warn("LOGS_URI is not set, order events will stay in the outbox.");
+    return;
+  }
+
+  const interval =
+    parseInt(process.env.EVENTS_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+  timer = setInterval(flush, interval);
+  setRecordedListener(flush);
+  flush();
+}
+
+async function stopEventPublisher() {
+  clearInterval(timer);
+  setRecordedListener(() => {});
+  if (flushing) await flushing;
+  if (connection) await connection.close();
+}
+
+module.exports = {
+  startEventPublisher,
+  stopEventPublisher,
+  flush,
+};
@@ -0,0 +1,86 @@
+"use strict";
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const OutboxEvent = require("../Models/outboxEvent");
+
+// 2: amounts in the order snapshot are integer cents with a currency
+const EVENT_VERSION = 2;
+
+const EVENTS = {
+  ORDER_CREATED: "order.created",
+  ORDER_UPDATED: "order.updated",
+  ORDER_STATUS_CHANGED: "order.status_changed",
+  ORDER_DELETED: "order.deleted",
+  ORDER_RESTORED: "order.restored",
+  RETURN_REQUESTED: "order.return_requested",
+  RETURN_APPROVED: "order.return_approved",
+  RETURN_REJECTED: "order.return_rejected",
+};
+
+// Called after events are recorded, so the publisher can send them right away
+let onRecorded = () => {};
+
+function setRecordedListener(listener) {
+  onRecorded = listener;
+}
+
+/**
+ * Runs `fn(session)` inside a MongoDB transaction and returns its result.
+ */
+async function inTransaction(fn) {
+  const session = await mongoose.startSession();
+  let result;
+  try {
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+  } finally {
+    await session.endSession();
+  }
+  setImmediate(() => onRecorded());
+  return result;
+}
+
+/**
+ * Writes an order event to the outbox. Pass the session of the transaction
+ * that changes the order so the event is only stored if the change is.
+ * `data` holds event specific fields such as the changes or the actor.
+ */
+async function recordEvent(type, order, data, session) {
+  const payload = {
+    id: crypto.randomUUID(),
+    type,
+    version: EVENT_VERSION,
+    source: "orders",
+    occurredAt: new Date().toISOString(),
+    data: {
+      order: typeof order.toObject === "function" ? order.toObject() : order,
+      ...data,
+    },
+  };
+
+  await OutboxEvent.create(
+    [
+      {
+        eventId: payload.id,
+        type,
+        version: EVENT_VERSION,
+        aggregateId: order._id,
+        payload,
+        occurredAt: payload.occurredAt,
+      },
+    ],
+    { session }
+  );
+
+  return payload;
+}
+
+module.exports = {
+  EVENTS,
+  EVENT_VERSION,
+  inTransaction,
+  recordEvent,
+  setRecordedListener,
+};
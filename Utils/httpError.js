@@ -0,0 +1,37 @@
+"use strict";
+
+/**
+ * Error carrying the HTTP status to answer with. `errors` holds optional
+ * field-level details, e.g. [{ location: "body", field: "clientId", message }].
+ */
+class HttpError extends Error {
+  constructor(status, message, errors) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Sends the standard error envelope { status, message, data, errors? }.
+ * HttpErrors keep their status and message; anything else is logged and
+ * reported as a 500 with `fallbackMessage`.
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof HttpError) {
+    const body = { status: error.status, message: error.message, data: {} };
+    if (error.errors) body.errors = error.errors;
+    return res.status(error.status).json(body);
+  }
+
+  console.error(error);
+  return res
+    .status(500)
+    .json({ status: 500, message: fallbackMessage, data: {} });
+}
+
+module.exports = {
+  HttpError,
+  sendError,
+};
@@ -0,0 +1,101 @@
+"use strict";
+
+const PDFDocument = require("pdfkit");
+const { formatMoney } = require("./money");
+
+// Orders without a currency predate amounts in cents
+function money(order, amount) {
+  return order.currency
+    ? formatMoney(amount, order.currency)
+    : `${Number(amount || 0).toFixed(2)} €`;
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : "";
+}
+
+/**
+ * Renders the invoice of an order as a PDF into `stream`: store and client
+ * details, one row per item and the order totals. Orders placed before
+ * discounts and tax existed only show their total.
+ */
+function writeInvoice(order, stream) {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.pipe(stream);
+
+  doc.fontSize(20).text("Invoice", { align: "right" });
+  doc
+    .fontSize(10)
+    .text(`Order number: ${order.order_number}`, { align: "right" })
+    .text(`Date: ${formatDate(order.createdAt)}`, { align: "right" });
+
+  doc.moveDown();
+  doc.fontSize(12).text(order.store.name);
+  doc.fontSize(10).text(order.store.address);
+
+  doc.moveDown();
+  doc.fontSize(12).text("Bill to");
+  doc
+    .fontSize(10)
+    .text(order.client.name)
+    .text(order.client.email)
+    .text(order.client.phone);
+
+  if (order.appointmentDate) {
+    doc.moveDown().text(`Appointment: ${formatDate(order.appointmentDate)}`);
+    if (order.location) doc.text(`Location: ${order.location}`);
+  }
+
+  // Line items
+  const columns = { name: 50, quantity: 300, price: 370, total: 460 };
+  doc.moveDown(2);
+  let y = doc.y;
+  doc
+    .fontSize(10)
+    .font("Helvetica-Bold")
+    .text("Item", columns.name, y)
+    .text("Qty", columns.quantity, y)
+    .text("Price", columns.price, y)
+    .text("Total", columns.total, y);
+  doc.font("Helvetica");
+
+  for (const item of order.items) {
+    const quantity = item.quantity || 1;
+    doc.moveDown(0.5);
+    y = doc.y;
+    doc
+      .text(item.name, columns.name, y, { width: 240 })
+      .text(String(quantity), columns.quantity, y)
+      .text(money(order, item.price), columns.price, y)
+      .text(money(order, item.price * quantity), columns.total, y);
+  }
+
+  doc.moveDown(2);
+  if (order.subtotal !== undefined) {
+    doc.text(`Subtotal: ${money(order, order.subtotal)}`, columns.name, doc.y, {
+      align: "right",
+    });
+    if (order.discount > 0) {
+      const code = order.coupon && order.coupon.code;
+      doc.text(
+        `Discount${code ? ` (${code})` : ""}: -${money(order, order.discount)}`,
+        { align: "right" }
+      );
+    }
+    doc.text(`VAT included: ${money(order, order.tax)}`, { align: "right" });
+  }
+  doc
+    .font("Helvetica-Bold")
+    .text(`Total: ${money(order, order.total)}`, columns.name, doc.y, {
+      align: "right",
+    });
+  doc.font("Helvetica").text(`Payment: ${order.paymentType}`, {
+    align: "right",
+  });
+
+  doc.end();
+}
+
+module.exports = {
+  writeInvoice,
+};
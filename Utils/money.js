@@ -0,0 +1,88 @@
+"use strict";
+
+/**
+ * Amounts of money are stored as integer minor units (cents) together
+ * with a currency code, so totals add up exactly. The API takes and
+ * returns amounts in major units (e.g. 12.34); conversion happens at
+ * those edges with toCents and fromCents.
+ */
+
+const DEFAULT_CURRENCY = "EUR";
+
+function defaultCurrency() {
+  return process.env.ORDER_CURRENCY || DEFAULT_CURRENCY;
+}
+
+// Converts an amount in major units to cents. toPrecision drops binary
+// noise first, so 1.005 becomes 101 cents rather than 100.
+function toCents(amount) {
+  if (amount === undefined || amount === null) return amount;
+  const cents = Math.round(parseFloat((Number(amount) * 100).toPrecision(12)));
+  if (!Number.isFinite(cents)) {
+    throw new Error(`Invalid amount of money: ${amount}`);
+  }
+  return cents;
+}
+
+function fromCents(cents) {
+  if (cents === undefined || cents === null) return cents;
+  return cents / 100;
+}
+
+// Amount of an order in major units. Orders without a currency predate
+// amounts in cents and already hold major units.
+function orderAmount(order, amount) {
+  return order.currency ? fromCents(amount) : amount;
+}
+
+// A percentage of an amount in cents, rounded to the nearest cent
+function percentOf(cents, percentage) {
+  return Math.round((cents * percentage) / 100);
+}
+
+// Human readable amount for documents such as invoices, e.g. "12,34 €"
+function formatMoney(cents, currency = defaultCurrency(), locale = "pt-PT") {
+  return new Intl.NumberFormat(locale, { style: "currency", currency }).format(
+    fromCents(cents || 0)
+  );
+}
+
+function convertPath(target, [key, ...rest], convert) {
+  if (target === null || typeof target !== "object") return;
+  if (Array.isArray(target)) {
+    target.forEach((entry) => convertPath(entry, [key, ...rest], convert));
+    return;
+  }
+  if (rest.length > 0) {
+    convertPath(target[key], rest, convert);
+  } else if (typeof target[key] === "number") {
+    target[key] = convert(target[key], target);
+  }
+}
+
+/**
+ * Builds a toJSON transform that turns the amounts at `paths` (dotted,
+ * going through arrays) from cents into major units. A path can map to a
+ * function deciding per subdocument whether the value is money, e.g. a
+ * discount value that is either an amount or a percentage.
+ */
+function moneyToJSON(paths) {
+  return (doc, ret) => {
+    for (const [path, isMoney] of Object.entries(paths)) {
+      convertPath(ret, path.split("."), (value, parent) =>
+        isMoney === true || isMoney(parent) ? fromCents(value) : value
+      );
+    }
+    return ret;
+  };
+}
+
+module.exports = {
+  defaultCurrency,
+  toCents,
+  fromCents,
+  orderAmount,
+  percentOf,
+  formatMoney,
+  moneyToJSON,
+};
@@ -0,0 +1,114 @@
+"use strict";
+
+const amqp = require("amqplib");
+const {
+  brokerUrl,
+  assertQueueWithDeadLetter,
+  rejectMessage,
+} = require("./broker");
+const { EVENTS } = require("./events");
+const { notifyClient } = require("./notifications");
+const { transportName } = require("./notificationTransports");
+
+const DEFAULT_EXCHANGE = "orders.events";
+const DEFAULT_QUEUE = "orders.notifications";
+const RECONNECT_DELAY_MS = 5000;
+const PREFETCH = 10;
+
+let connection = null;
+let stopped = false;
+
+// Messages sent for each order event, keyed by its routing key
+const HANDLERS = {
+  [EVENTS.ORDER_CREATED]: (event) => {
+    const { order } = event.data;
+    const template = order.appointmentDate
+      ? "appointment_confirmation"
+      : "order_confirmation";
+    return notifyClient(template, order, { key: event.id });
+  },
+  [EVENTS.ORDER_STATUS_CHANGED]: (event) => {
+    const { order, to, note } = event.data;
+    return notifyClient("status_changed", order, {
+      key: event.id,
+      status: to,
+      note,
+    });
+  },
+};
+
+async function handle(channel, msg) {
+  const routingKey = msg.fields.routingKey;
+
+  try {
+    const handler = HANDLERS[routingKey];
+    if (handler) {
+      await handler(JSON.parse(msg.content.toString()));
+    }
+    channel.ack(msg);
+  } catch (error) {
+    console.error(`Error notifying ${routingKey}:`, error.message);
+    rejectMessage(channel, msg);
+  }
+}
+
+async function connect() {
+  connection = await amqp.connect(brokerUrl());
+  connection.on("error", (err) => console.error("AMQP error:", err.message));
+  connection.on("close", () => {
+    connection = null;
+    if (!stopped) setTimeout(start, RECONNECT_DELAY_MS);
+  });
+
+  const channel = await connection.createChannel();
+  const exchange = process.env.EVENTS_EXCHANGE || DEFAULT_EXCHANGE;
+  const queue = process.env.NOTIFICATIONS_QUEUE || DEFAULT_QUEUE;
+  await channel.assertExchange(exchange, "topic", { durable: true });
+  await assertQueueWithDeadLetter(channel, queue);
+  await channel.prefetch(PREFETCH);
+
+  for (const routingKey of Object.keys(HANDLERS)) {
+    await channel.bindQueue(queue, exchange, routingKey);
+  }
+
+  await channel.consume(queue, (msg) => msg && handle(channel, msg));
+}
+
+function start() {
+  connect().catch((error) => {
+    console.error("Error starting notification consumer:", error.message);
+    if (connection) connection.close().catch(() => {});
+    else if (!stopped) setTimeout(start, RECONNECT_DELAY_MS);
+  });
+}
+
+/**
+ * Sends client notifications for the order events this service publishes,
+ * consuming them from the broker at LOGS_URI. Reconnects when the broker
+ * goes away.
+ */
+function startNotificationConsumer() {
+  if (!brokerUrl()) {
+    console.warn("LOGS_URI is not set, clients won't be notified.");
+    return;
+  }
+  for (const channel of ["email", "sms"]) {
+    if (transportName(channel) === "console") {
+      console.warn(
+        `No ${channel} transport is configured, ${channel} notifications will only be logged.`
+      );
+    }
+  }
+  stopped = false;
+  start();
+}
+
+async function stopNotificationConsumer() {
+  stopped = true;
+  if (connection) await connection.close();
+}
+
+module.exports = {
+  startNotificationConsumer,
+  stopNotificationConsumer,
+};
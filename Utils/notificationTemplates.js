@@ -0,0 +1,140 @@
+"use strict";
+
+const { formatMoney } = require("./money");
+
+const LOCALES = ["pt", "en"];
+
+// Locale used for Intl formatting of each supported language
+const INTL_LOCALES = {
+  pt: "pt-PT",
+  en: "en-GB",
+};
+
+const STATUS_LABELS = {
+  pt: {
+    pending: "pendente",
+    confirmed: "confirmada",
+    paid: "paga",
+    fulfilled: "concluída",
+    cancelled: "cancelada",
+    refunded: "reembolsada",
+  },
+  en: {
+    pending: "pending",
+    confirmed: "confirmed",
+    paid: "paid",
+    fulfilled: "completed",
+    cancelled: "cancelled",
+    refunded: "refunded",
+  },
+};
+
+// Email subject and text plus a shorter SMS text for each template and
+// language. {{name}} placeholders are filled in by renderNotification.
+const TEMPLATES = {
+  order_confirmation: {
+    pt: {
+      subject: "Recebemos a sua encomenda {{orderNumber}}",
+      text: "Olá {{clientName}},\n\nObrigado pela sua encomenda {{orderNumber}} na loja {{storeName}}. O total é de {{total}}.\n\nEnviaremos uma mensagem sempre que o estado da encomenda mudar.",
+      sms: "{{storeName}}: recebemos a sua encomenda {{orderNumber}} ({{total}}).",
+    },
+    en: {
+      subject: "We received your order {{orderNumber}}",
+      text: "Hi {{clientName}},\n\nThank you for your order {{orderNumber}} at {{storeName}}. The total is {{total}}.\n\nWe'll let you know whenever its status changes.",
+      sms: "{{storeName}}: we received your order {{orderNumber}} ({{total}}).",
+    },
+  },
+  appointment_confirmation: {
+    pt: {
+      subject: "Marcação agendada para {{appointment}}",
+      text: "Olá {{clientName}},\n\nA sua marcação na loja {{storeName}} ficou agendada para {{appointment}} (encomenda {{orderNumber}}, total {{total}}).",
+      sms: "{{storeName}}: marcação agendada para {{appointment}} (encomenda {{orderNumber}}).",
+    },
+    en: {
+      subject: "Appointment booked for {{appointment}}",
+      text: "Hi {{clientName}},\n\nYour appointment at {{storeName}} is booked for {{appointment}} (order {{orderNumber}}, total {{total}}).",
+      sms: "{{storeName}}: appointment booked for {{appointment}} (order {{orderNumber}}).",
+    },
+  },
+  appointment_reminder: {
+    pt: {
+      subject: "Lembrete: marcação a {{appointment}}",
+      text: "Olá {{clientName}},\n\nLembramos que tem uma marcação na loja {{storeName}} a {{appointment}} (encomenda {{orderNumber}}).",
+      sms: "{{storeName}}: lembrete da sua marcação a {{appointment}}.",
+    },
+    en: {
+      subject: "Reminder: appointment on {{appointment}}",
+      text: "Hi {{clientName}},\n\nThis is a reminder of your appointment at {{storeName}} on {{appointment}} (order {{orderNumber}}).",
+      sms: "{{storeName}}: reminder of your appointment on {{appointment}}.",
+    },
+  },
+  status_changed: {
+    pt: {
+      subject: "Encomenda {{orderNumber}} {{status}}",
+      text: "Olá {{clientName}},\n\nA sua encomenda {{orderNumber}} na loja {{storeName}} está agora {{status}}.{{note}}",
+      sms: "{{storeName}}: a encomenda {{orderNumber}} está agora {{status}}.",
+    },
+    en: {
+      subject: "Order {{orderNumber}} {{status}}",
+      text: "Hi {{clientName}},\n\nYour order {{orderNumber}} at {{storeName}} is now {{status}}.{{note}}",
+      sms: "{{storeName}}: order {{orderNumber}} is now {{status}}.",
+    },
+  },
+};
+
+function defaultLocale() {
+  const locale = process.env.NOTIFICATION_DEFAULT_LOCALE;
+  return LOCALES.includes(locale) ? locale : "pt";
+}
+
+// Appointments are shown in the stores' time zone, Lisbon by default
+function formatDate(date, locale) {
+  return new Intl.DateTimeFormat(INTL_LOCALES[locale], {
+    dateStyle: "long",
+    timeStyle: "short",
+    timeZone: process.env.NOTIFICATION_TIME_ZONE || "Europe/Lisbon",
+  }).format(new Date(date));
+}
+
+function fill(text, values) {
+  return text.replace(/{{(\w+)}}/g, (match, name) =>
+    values[name] === undefined ? "" : values[name]
+  );
+}
+
+/**
+ * Renders a template for an order in `locale` ("pt" or "en"). `order` may
+ * be a document or the plain snapshot carried by order events; amounts
+ * are in cents. Status change messages pass the new `status` and an
+ * optional `note`. Returns { subject, text, sms }.
+ */
+function renderNotification(template, locale, order, { status, note } = {}) {
+  const texts = TEMPLATES[template] && TEMPLATES[template][locale];
+  if (!texts) {
+    throw new Error(`Unknown notification template: ${template}/${locale}`);
+  }
+
+  const values = {
+    clientName: order.client.name,
+    orderNumber: order.order_number,
+    storeName: order.store.name,
+    total: formatMoney(order.total, order.currency, INTL_LOCALES[locale]),
+    appointment: order.appointmentDate
+      ? formatDate(order.appointmentDate, locale)
+      : undefined,
+    status: status && STATUS_LABELS[locale][status],
+    note: note ? `\n\n${note}` : "",
+  };
+
+  return {
+    subject: fill(texts.subject, values),
+    text: fill(texts.text, values),
+    sms: fill(texts.sms, values),
+  };
+}
+
+module.exports = {
+  LOCALES,
+  defaultLocale,
+  renderNotification,
+};
@@ -0,0 +1,16 @@
+"use strict";
+
+// Prints messages instead of sending them, for development. Nothing
+// reaches the client, so messages are recorded as skipped, not sent.
+const consoleTransport = {
+  name: "console",
+  delivers: false,
+
+  async send({ channel, to, subject, text }) {
+    const heading = subject ? `${subject}\n` : "";
+    console.log(`[${channel} to ${to}]\n${heading}${text}`);
+    return {};
+  },
+};
+
+module.exports = consoleTransport;
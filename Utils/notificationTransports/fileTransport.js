@@ -0,0 +1,18 @@
+"use strict";
+
+const fs = require("fs/promises");
+
+// Appends messages as JSON lines to NOTIFICATION_FILE so tests can read
+// what would have been sent.
+const fileTransport = {
+  name: "file",
+
+  async send(message) {
+    const file = process.env.NOTIFICATION_FILE || "notifications.log";
+    const line = JSON.stringify({ ...message, sentAt: new Date() });
+    await fs.appendFile(file, `${line}\n`);
+    return {};
+  },
+};
+
+module.exports = fileTransport;
@@ -0,0 +1,34 @@
+"use strict";
+
+const { default: axios } = require("axios");
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Hands messages to an email or SMS gateway by POSTing them as JSON to
+ * NOTIFICATION_EMAIL_URL or NOTIFICATION_SMS_URL, authenticated with
+ * NOTIFICATION_API_KEY when set. The gateway may answer with a messageId.
+ */
+const httpTransport = {
+  name: "http",
+
+  async send(message) {
+    const url =
+      process.env[`NOTIFICATION_${message.channel.toUpperCase()}_URL`];
+    if (!url) {
+      throw new Error(`No gateway URL configured for ${message.channel}`);
+    }
+
+    const headers = process.env.NOTIFICATION_API_KEY
+      ? { Authorization: `Bearer ${process.env.NOTIFICATION_API_KEY}` }
+      : {};
+    const response = await axios.post(url, message, {
+      headers,
+      timeout: DEFAULT_TIMEOUT_MS,
+    });
+    const data = response.data || {};
+    return { messageId: data.messageId || data.id };
+  },
+};
+
+module.exports = httpTransport;
@@ -0,0 +1,34 @@
+"use strict";
+
+const consoleTransport = require("./consoleTransport");
+const fileTransport = require("./fileTransport");
+const httpTransport = require("./httpTransport");
+
+// Available transports by name. Each has a send({ channel, to, subject,
+// text }) returning an optional { messageId }; those with delivers: false
+// don't actually reach the recipient.
+const TRANSPORTS = {
+  console: consoleTransport,
+  file: fileTransport,
+  http: httpTransport,
+};
+
+// Transport configured for a channel through NOTIFICATION_EMAIL_TRANSPORT
+// or NOTIFICATION_SMS_TRANSPORT, the console by default.
+function transportName(channel) {
+  return (
+    process.env[`NOTIFICATION_${channel.toUpperCase()}_TRANSPORT`] || "console"
+  );
+}
+
+function getTransport(channel) {
+  const name = transportName(channel);
+  const transport = TRANSPORTS[name];
+  if (!transport) throw new Error(`Unknown notification transport: ${name}`);
+  return transport;
+}
+
+module.exports = {
+  getTransport,
+  transportName,
+};
@@ -0,0 +1,190 @@
+"use strict";
+
+const Notification = require("../Models/notification");
+const NotificationPreference = require("../Models/notificationPreference");
+const { getTransport, transportName } = require("./notificationTransports");
+const {
+  defaultLocale,
+  renderNotification,
+} = require("./notificationTemplates");
+
+// Failed messages are tried again until they have been attempted this often
+const MAX_ATTEMPTS = 3;
+
+// How long a claim to send a message lasts before another try may take it
+const SEND_LEASE_MS = 5 * 60 * 1000;
+
+const CHANNELS = ["email", "sms"];
+const DEFAULT_RETRY_INTERVAL_MS = 5 * 60 * 1000;
+const RETRY_BATCH_SIZE = 50;
+
+let timer = null;
+let retrying = null;
+
+function isDuplicateKey(error) {
+  return error && error.code === 11000;
+}
+
+/**
+ * Takes the right to send the message with this key: a new message is
+ * created as "sending", a failed one with attempts left is taken back, as
+ * is one whose sender went away before finishing. Returns null when the
+ * message was already sent or is being sent.
+ */
+async function claim(message) {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + SEND_LEASE_MS);
+  try {
+    return await Notification.create({ ...message, lockedUntil });
+  } catch (error) {
+    if (!isDuplicateKey(error)) throw error;
+    return Notification.findOneAndUpdate(
+      {
+        key: message.key,
+        attempts: { $lt: MAX_ATTEMPTS },
+        $or: [
+          { status: "failed" },
+          { status: "sending", lockedUntil: null },
+          { status: "sending", lockedUntil: { $lt: now } },
+        ],
+      },
+      { $set: { status: "sending", lockedUntil }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+}
+
+async function deliver(notification) {
+  const transport = getTransport(notification.channel);
+  try {
+    const { messageId } =
+      (await transport.send({
+        channel: notification.channel,
+        to: notification.to,
+        subject: notification.subject,
+        text: notification.text,
+      })) || {};
+    const delivered = transport.delivers !== false;
+    notification.set({
+      status: delivered ? "sent" : "skipped",
+      transport: transport.name,
+      messageId,
+      sentAt: delivered ? new Date() : undefined,
+      error: undefined,
+      lockedUntil: undefined,
+    });
+  } catch (error) {
+    notification.set({
+      status: "failed",
+      transport: transportName(notification.channel),
+      error: error.message,
+      lockedUntil: undefined,
+    });
+  }
+  await notification.save();
+  return notification;
+}
+
+/**
+ * Sends a templated message about an order to its client by email and
+ * SMS, in the client's language and skipping the channels they opted
+ * out of. `key` identifies the occasion, e.g. an event id, so the same
+ * message is never sent twice. Throws once every channel was tried if
+ * one of them failed; calling again retries only the failed ones.
+ */
+async function notifyClient(template, order, { key, status, note } = {}) {
+  const preference = await NotificationPreference.findOne({
+    clientId: order.client._id,
+  });
+  const locale = (preference && preference.locale) || defaultLocale();
+  const rendered = renderNotification(template, locale, order, {
+    status,
+    note,
+  });
+  const recipients = { email: order.client.email, sms: order.client.phone };
+
+  const failed = [];
+  for (const channel of CHANNELS) {
+    if (!recipients[channel]) continue;
+    if (preference && preference[channel] === false) continue;
+
+    const notification = await claim({
+      key: `${key}:${channel}`,
+      orderId: order._id,
+      clientId: order.client._id,
+      channel,
+      template,
+      locale,
+      to: recipients[channel],
+      subject: channel === "email" ? rendered.subject : undefined,
+      text: channel === "email" ? rendered.text : rendered.sms,
+    });
+    if (!notification) continue;
+
+    const result = await deliver(notification);
+    if (result.status === "failed") failed.push(`${channel}: ${result.error}`);
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`Failed to send ${template}: ${failed.join("; ")}`);
+  }
+}
+
+/**
+ * Sends again the messages whose sender went away mid-send, e.g. in a
+ * crash, since the event that asked for them was already acknowledged.
+ * Returns the number of messages tried.
+ */
+async function resendAbandoned() {
+  let tried = 0;
+  for (; tried < RETRY_BATCH_SIZE; tried++) {
+    const now = new Date();
+    const notification = await Notification.findOneAndUpdate(
+      {
+        status: "sending",
+        attempts: { $lt: MAX_ATTEMPTS },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+      },
+      {
+        $set: { lockedUntil: new Date(now.getTime() + SEND_LEASE_MS) },
+        $inc: { attempts: 1 },
+      },
+      { new: true }
+    );
+    if (!notification) break;
+    await deliver(notification);
+  }
+  return tried;
+}
+
+// Runs a resend pass unless one is already in progress.
+function run() {
+  if (!retrying) {
+    retrying = resendAbandoned()
+      .catch((error) => console.error("Error resending notifications:", error))
+      .finally(() => {
+        retrying = null;
+      });
+  }
+  return retrying;
+}
+
+// Resends abandoned messages every NOTIFICATION_RETRY_INTERVAL_MS.
+function startNotificationRetries() {
+  const interval =
+    parseInt(process.env.NOTIFICATION_RETRY_INTERVAL_MS) ||
+    DEFAULT_RETRY_INTERVAL_MS;
+  timer = setInterval(run, interval);
+}
+
+async function stopNotificationRetries() {
+  clearInterval(timer);
+  if (retrying) await retrying;
+}
+
+module.exports = {
+  notifyClient,
+  resendAbandoned,
+  startNotificationRetries,
+  stopNotificationRetries,
+};
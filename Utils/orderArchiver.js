@@ -0,0 +1,101 @@
+"use strict";
+
+const Order = require("../Models/order");
+const ArchivedOrder = require("../Models/archivedOrder");
+const { CLOSED_STATUSES } = require("./orderStatus");
+const { inTransaction } = require("./events");
+const { recordAudit } = require("./audit");
+const { SYSTEM_ACTOR } = require("./orderTransitions");
+
+const DEFAULT_ARCHIVE_AFTER_DAYS = 365;
+const DEFAULT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+
+let timer = null;
+let running = null;
+
+function archiveAfterDays() {
+  const value = parseInt(process.env.ARCHIVE_AFTER_DAYS);
+  return isNaN(value) ? DEFAULT_ARCHIVE_AFTER_DAYS : value;
+}
+
+/**
+ * Moves closed orders created more than ARCHIVE_AFTER_DAYS ago, deleted or
+ * not, into the orders_archive collection. Each batch is copied, removed
+ * and audited in one transaction. Returns the number of orders archived.
+ */
+async function archiveOldOrders(now = new Date()) {
+  const cutoff = new Date(now.getTime() - archiveAfterDays() * 86400000);
+  let archived = 0;
+
+  for (;;) {
+    const orders = await Order.find({
+      status: { $in: CLOSED_STATUSES },
+      createdAt: { $lt: cutoff },
+    })
+      .setOptions({ includeDeleted: true })
+      .limit(BATCH_SIZE)
+      .lean();
+    if (orders.length === 0) return archived;
+
+    await inTransaction(async (session) => {
+      const copies = orders.map((order) => ({ ...order, archivedAt: now }));
+      await ArchivedOrder.insertMany(
+        copies,
+        // Copied as they are, older orders may not pass today's validation
+        { session, lean: true }
+      );
+      await Order.deleteMany(
+        { _id: { $in: orders.map((order) => order._id) } },
+        { session }
+      );
+      for (let i = 0; i < orders.length; i++) {
+        await recordAudit(
+          "archived",
+          { before: orders[i], after: copies[i], actor: SYSTEM_ACTOR },
+          session
+        );
+      }
+    });
+    archived += orders.length;
+  }
+}
+
+// Runs an archival pass unless one is already in progress.
+function run() {
+  if (!running) {
+    running = archiveOldOrders()
+      .then((count) => {
+        if (count > 0) console.log(`Archived ${count} old order(s).`);
+      })
+      .catch((error) => console.error("Error archiving orders:", error))
+      .finally(() => {
+        running = null;
+      });
+  }
+  return running;
+}
+
+/**
+ * Archives old closed orders now and then every ARCHIVE_INTERVAL_MS
+ * (daily by default). Setting ARCHIVE_AFTER_DAYS to 0 turns it off.
+ */
+function startOrderArchiver() {
+  if (archiveAfterDays() <= 0) return;
+
+  const interval =
+    parseInt(process.env.ARCHIVE_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  timer = setInterval(run, interval);
+  run();
+}
+
+async function stopOrderArchiver() {
+  clearInterval(timer);
+  if (running) await running;
+}
+
+module.exports = {
+  archiveOldOrders,
+  startOrderArchiver,
+  stopOrderArchiver,
+};
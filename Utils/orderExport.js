@@ -0,0 +1,123 @@
+"use strict";
+
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+const { orderAmount } = require("./money");
+
+// Columns of the order export, in order
+const COLUMNS = [
+  { header: "Order number", key: "order_number", width: 20 },
+  { header: "Created at", key: "createdAt", width: 24 },
+  { header: "Status", key: "status", width: 12 },
+  { header: "Client", key: "clientName", width: 24 },
+  { header: "Client email", key: "clientEmail", width: 28 },
+  { header: "Client phone", key: "clientPhone", width: 16 },
+  { header: "Store", key: "storeName", width: 24 },
+  { header: "Payment type", key: "paymentType", width: 14 },
+  { header: "Appointment", key: "appointmentDate", width: 24 },
+  { header: "Items", key: "items", width: 48 },
+  { header: "Subtotal", key: "subtotal", width: 12 },
+  { header: "Discount", key: "discount", width: 12 },
+  { header: "Coupon", key: "coupon", width: 14 },
+  { header: "Tax", key: "tax", width: 12 },
+  { header: "Total", key: "total", width: 12 },
+  { header: "Currency", key: "currency", width: 10 },
+];
+
+function toRow(order) {
+  return {
+    order_number: order.order_number,
+    createdAt: order.createdAt ? order.createdAt.toISOString() : "",
+    status: order.status,
+    clientName: order.client.name,
+    clientEmail: order.client.email,
+    clientPhone: order.client.phone,
+    storeName: order.store.name,
+    paymentType: order.paymentType,
+    appointmentDate: order.appointmentDate
+      ? order.appointmentDate.toISOString()
+      : "",
+    items: order.items
+      .map((item) => `${item.name} x${item.quantity || 1}`)
+      .join("; "),
+    subtotal: orderAmount(order, order.subtotal),
+    discount: orderAmount(order, order.discount),
+    coupon: order.coupon ? order.coupon.code : undefined,
+    tax: orderAmount(order, order.tax),
+    total: orderAmount(order, order.total),
+    currency: order.currency,
+  };
+}
+
+// Quotes a CSV field when needed. Leading formula characters are escaped so
+// spreadsheets don't evaluate client-supplied values.
+function csvField(value) {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (/^[=+\-@]/.test(text) && typeof value === "string") text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Stops an export whose client went away, e.g. by disconnecting
+function assertOpen(stream) {
+  if (stream.destroyed || stream.writableEnded) {
+    throw new Error("The export stream was closed");
+  }
+}
+
+// Writes a chunk, waiting for the stream to drain when its buffer is full.
+// Fails if the stream closes or errors first rather than waiting for a
+// drain that never comes.
+async function write(stream, chunk) {
+  assertOpen(stream);
+  if (stream.write(chunk)) return;
+
+  const controller = new AbortController();
+  const { signal } = controller;
+  try {
+    await Promise.race([
+      once(stream, "drain", { signal }),
+      once(stream, "close", { signal }).then(() => assertOpen(stream)),
+    ]);
+  } finally {
+    controller.abort();
+  }
+}
+
+// Streams orders from a mongoose cursor to `stream` as CSV.
+async function writeCsv(cursor, stream) {
+  await write(
+    stream,
+    COLUMNS.map((column) => csvField(column.header)).join(",") + "\r\n"
+  );
+
+  for await (const order of cursor) {
+    const row = toRow(order);
+    await write(
+      stream,
+      COLUMNS.map((column) => csvField(row[column.key])).join(",") + "\r\n"
+    );
+  }
+
+  stream.end();
+}
+
+// Streams orders from a mongoose cursor to `stream` as an XLSX workbook.
+async function writeXlsx(cursor, stream) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream });
+  const worksheet = workbook.addWorksheet("Orders");
+  worksheet.columns = COLUMNS;
+
+  for await (const order of cursor) {
+    assertOpen(stream);
+    worksheet.addRow(toRow(order)).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+}
+
+module.exports = {
+  COLUMNS,
+  writeCsv,
+  writeXlsx,
+};
@@ -0,0 +1,66 @@
+"use strict";
+
+const Counter = require("../Models/counter");
+
+const DEFAULT_FORMAT = "{prefix}-{year}-{seq}";
+const DEFAULT_PADDING = 6;
+const DEFAULT_PREFIX = "ORD";
+
+/**
+ * Derives the order number prefix for a store. Stores can set an explicit
+ * `code`; otherwise the first three letters of the store name are used.
+ */
+function storePrefix(store) {
+  if (store && store.code) return String(store.code).toUpperCase();
+
+  const letters =
+    store && store.name
+      ? store.name
+          .normalize("NFD")
+          .replace(/[^A-Za-z]/g, "")
+          .toUpperCase()
+      : "";
+
+  if (letters.length >= 3) return letters.slice(0, 3);
+  return process.env.ORDER_NUMBER_PREFIX || DEFAULT_PREFIX;
+}
+
+/**
+ * Atomically increments a named counter and returns the new value. The
+ * counter document is created on first use.
+ */
+async function nextSequence(name) {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+}
+
+/**
+ * Generates the next order number for a store, e.g. LIS-2026-000123.
+ * Sequences restart every year per prefix. The layout is controlled by
+ * ORDER_NUMBER_FORMAT ({prefix}, {year} and {seq} placeholders) and
+ * ORDER_NUMBER_PADDING.
+ */
+async function nextOrderNumber(store, date = new Date()) {
+  const format = process.env.ORDER_NUMBER_FORMAT || DEFAULT_FORMAT;
+  const padding = parseInt(process.env.ORDER_NUMBER_PADDING) || DEFAULT_PADDING;
+
+  const prefix = storePrefix(store);
+  const year = String(date.getFullYear());
+  const scope = format.includes("{year}") ? `${prefix}:${year}` : prefix;
+
+  const seq = await nextSequence(`order_number:${scope}`);
+
+  return format
+    .replace("{prefix}", prefix)
+    .replace("{year}", year)
+    .replace("{seq}", String(seq).padStart(padding, "0"));
+}
+
+module.exports = {
+  nextSequence,
+  nextOrderNumber,
+};
@@ -0,0 +1,124 @@
+"use strict";
+
+const { HttpError } = require("./httpError");
+
+const ROLES = {
+  CLIENT: 1,
+  STAFF: 2,
+  ADMIN: 3,
+};
+
+const DEFAULT_CANCEL_WINDOW_MINUTES = 24 * 60;
+
+// The auth service has issued tokens with both `id` and `_id` claims.
+function userId(user) {
+  return user ? String(user.id || user._id || "") : "";
+}
+
+// Store a staff member works at, taken from the `storeId` or `store` claim.
+function userStoreId(user) {
+  return user ? String(user.storeId || user.store || "") : "";
+}
+
+function isAdmin(user) {
+  return Boolean(user) && Number(user.role) === ROLES.ADMIN;
+}
+
+/**
+ * Returns the MongoDB filter restricting orders to those the user may see:
+ * clients see their own orders, store staff the orders of their store and
+ * admins everything. Users matching none of these get a filter that matches
+ * no order.
+ */
+function orderScope(user) {
+  const role = user ? Number(user.role) : undefined;
+
+  if (role === ROLES.ADMIN) return {};
+  if (role === ROLES.CLIENT && userId(user)) {
+    return { "client._id": userId(user) };
+  }
+  if (role === ROLES.STAFF && userStoreId(user)) {
+    return { "store._id": userStoreId(user) };
+  }
+
+  return { _id: null };
+}
+
+// Whether the user may see or modify an order that was already loaded.
+function canAccessOrder(user, order) {
+  const role = user ? Number(user.role) : undefined;
+
+  if (role === ROLES.ADMIN) return true;
+  if (role === ROLES.CLIENT) {
+    return Boolean(userId(user)) && String(order.client._id) === userId(user);
+  }
+  if (role === ROLES.STAFF) {
+    return (
+      Boolean(userStoreId(user)) &&
+      String(order.store._id) === userStoreId(user)
+    );
+  }
+
+  return false;
+}
+
+// Whether the user may manage a store's settings: its own staff or admins.
+function canManageStore(user, storeId) {
+  if (isAdmin(user)) return true;
+  return (
+    Boolean(user) &&
+    Number(user.role) === ROLES.STAFF &&
+    Boolean(userStoreId(user)) &&
+    String(storeId) === userStoreId(user)
+  );
+}
+
+// Query options for reads taking ?includeDeleted, which only admins may use.
+function deletedOptions(user, query) {
+  if (!query.includeDeleted) return {};
+  if (!isAdmin(user)) {
+    throw new HttpError(403, "Only admins can see deleted orders");
+  }
+  return { includeDeleted: true };
+}
+
+// Minutes after placing an order during which its client may cancel it.
+// 0 means clients can't cancel orders themselves.
+function cancelWindowMinutes() {
+  const value = parseInt(process.env.CLIENT_CANCEL_WINDOW_MINUTES);
+  return isNaN(value) ? DEFAULT_CANCEL_WINDOW_MINUTES : value;
+}
+
+/**
+ * Throws a 403 HttpError unless the user may cancel the order at `now`.
+ * Staff and admins always may; clients only within the cancel window and
+ * before their appointment starts.
+ */
+function assertCanCancel(user, order, now = new Date()) {
+  if (Number(user.role) !== ROLES.CLIENT) return;
+
+  const deadline = new Date(
+    order.createdAt.getTime() + cancelWindowMinutes() * 60 * 1000
+  );
+  if (now > deadline) {
+    throw new HttpError(403, "The time to cancel this order has passed");
+  }
+  if (order.appointmentDate && now >= order.appointmentDate) {
+    throw new HttpError(
+      403,
+      "Orders can't be cancelled once their appointment has started"
+    );
+  }
+}
+
+module.exports = {
+  ROLES,
+  userId,
+  userStoreId,
+  isAdmin,
+  orderScope,
+  canAccessOrder,
+  canManageStore,
+  deletedOptions,
+  assertCanCancel,
+};
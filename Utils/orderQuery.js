@@ -0,0 +1,106 @@
+"use strict";
+
+const { parseStatusFilter } = require("./orderStatus");
+const { toCents } = require("./money");
+const { HttpError } = require("./httpError");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Fields orders can be sorted by, e.g. ?sort=-createdAt,total
+const SORTABLE_FIELDS = [
+  "createdAt",
+  "appointmentDate",
+  "total",
+  "order_number",
+  "status",
+];
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function range(from, to) {
+  const condition = {};
+  if (from !== undefined) condition.$gte = from;
+  if (to !== undefined) condition.$lte = to;
+  return Object.keys(condition).length > 0 ? condition : undefined;
+}
+
+/**
+ * Builds the MongoDB filter for GET /order from already validated query
+ * parameters. The caller's access scope is merged in separately.
+ */
+function buildOrderFilter(query) {
+  const filter = {};
+
+  const statuses = parseStatusFilter(query.status);
+  if (statuses) filter.status = { $in: statuses };
+
+  if (query.storeId) filter["store._id"] = query.storeId;
+  if (query.clientId) filter["client._id"] = query.clientId;
+  if (query.paymentType) filter.paymentType = query.paymentType;
+  if (query.productId) filter["items.productId"] = query.productId;
+  if (query.serviceId) filter["items.serviceId"] = query.serviceId;
+
+  const createdAt = range(query.createdFrom, query.createdTo);
+  if (createdAt) filter.createdAt = createdAt;
+
+  const appointmentDate = range(query.appointmentFrom, query.appointmentTo);
+  if (appointmentDate) filter.appointmentDate = appointmentDate;
+
+  // Totals are stored in cents
+  const total = range(toCents(query.minTotal), toCents(query.maxTotal));
+  if (total) filter.total = total;
+
+  if (query.flagged === true) {
+    filter.flags = { $elemMatch: { resolvedAt: null } };
+  } else if (query.flagged === false) {
+    filter.flags = { $not: { $elemMatch: { resolvedAt: null } } };
+  }
+
+  if (query.q) {
+    const pattern = new RegExp(escapeRegex(query.q), "i");
+    filter.$or = [
+      { "client.name": pattern },
+      { "client.email": pattern },
+      { order_number: pattern },
+    ];
+  }
+
+  return filter;
+}
+
+/**
+ * Parses ?sort=-createdAt,total into a MongoDB sort object. Fields prefixed
+ * with "-" sort descending. _id is always added as a tie-breaker so pages
+ * are stable.
+ */
+function parseSort(value, defaultSort = "-createdAt") {
+  const sort = {};
+
+  for (const token of String(value || defaultSort).split(",")) {
+    const field = token.trim().replace(/^[-+]/, "");
+    if (!field) continue;
+    if (!SORTABLE_FIELDS.includes(field)) {
+      throw new HttpError(400, `Cannot sort by ${field}`);
+    }
+    sort[field] = token.trim().startsWith("-") ? -1 : 1;
+  }
+
+  if (!sort._id) sort._id = sort[Object.keys(sort)[0]] || -1;
+  return sort;
+}
+
+function pageSize(limit) {
+  return Math.min(parseInt(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORTABLE_FIELDS,
+  buildOrderFilter,
+  parseSort,
+  pageSize,
+};
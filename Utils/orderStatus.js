@@ -0,0 +1,80 @@
+"use strict";
+
+const { HttpError } = require("./httpError");
+
+const STATUSES = [
+  "pending",
+  "confirmed",
+  "paid",
+  "fulfilled",
+  "cancelled",
+  "refunded",
+];
+
+// Allowed transitions for each status. Final statuses map to an empty list.
+const TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["paid", "cancelled"],
+  paid: ["fulfilled", "refunded"],
+  fulfilled: ["refunded"],
+  cancelled: [],
+  refunded: [],
+};
+
+// Orders in these statuses haven't been paid for yet, so their items and
+// prices can still change.
+const OPEN_STATUSES = ["pending", "confirmed"];
+
+// Orders in these statuses are done with and can eventually be archived
+const CLOSED_STATUSES = ["fulfilled", "cancelled", "refunded"];
+
+// Fields that can be changed through PUT /order/:id in each status.
+// Appointments are moved through the reschedule endpoint instead.
+const EDITABLE_FIELDS = {
+  pending: ["items", "paymentType", "location"],
+  confirmed: ["location"],
+  paid: ["location"],
+  fulfilled: [],
+  cancelled: [],
+  refunded: [],
+};
+
+function isValidStatus(status) {
+  return STATUSES.includes(status);
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Parses a `status` query value ("paid" or "paid,fulfilled") into a list of
+ * known statuses. Returns null when the parameter is absent and throws a 400
+ * HttpError when it contains an unknown status.
+ */
+function parseStatusFilter(value) {
+  if (value === undefined || value === "") return null;
+
+  const statuses = String(value)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  const invalid = statuses.filter((s) => !isValidStatus(s));
+  if (invalid.length > 0) {
+    throw new HttpError(400, `Invalid status filter: ${invalid.join(", ")}`);
+  }
+
+  return statuses;
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  OPEN_STATUSES,
+  CLOSED_STATUSES,
+  EDITABLE_FIELDS,
+  isValidStatus,
+  canTransition,
+  parseStatusFilter,
+};
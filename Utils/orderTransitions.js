@@ -0,0 +1,124 @@
+"use strict";
+
+const Order = require("../Models/order");
+const { canTransition } = require("./orderStatus");
+const { HttpError } = require("./httpError");
+const { EVENTS, inTransaction, recordEvent } = require("./events");
+const { recordAudit } = require("./audit");
+const { releaseStock } = require("./stock");
+const { releaseAppointment } = require("./scheduling");
+const { releaseCoupon } = require("./coupons");
+
+// Actor recorded for changes made by this service itself, e.g. webhooks
+const SYSTEM_ACTOR = { _id: "system" };
+
+// Token used to call other services when there is no caller to act for
+function serviceToken() {
+  return process.env.SERVICE_TOKEN
+    ? `Bearer ${process.env.SERVICE_TOKEN}`
+    : undefined;
+}
+
+// Gives back what a cancelled or refunded order was holding.
+async function afterStatusChange(order, token) {
+  if (order.status === "cancelled" || order.status === "refunded") {
+    await releaseAppointment(order._id);
+  }
+
+  if (order.status === "cancelled" && order.stockReserved) {
+    await releaseStock(order.items, token || serviceToken());
+    const before = order.toObject();
+    await inTransaction(async (session) => {
+      await Order.updateOne(
+        { _id: order._id },
+        { stockReserved: false },
+        { session }
+      );
+      order.stockReserved = false;
+      await recordAudit(
+        "updated",
+        { before, after: order, actor: SYSTEM_ACTOR, note: "Stock released" },
+        session
+      );
+    });
+  }
+
+  if (order.status === "cancelled") {
+    await releaseCoupon(order._id);
+
+    // Required here to avoid a circular import with payments
+    const { voidOpenPayments, refundCapturedPayments } = require("./payments");
+    await voidOpenPayments(order._id);
+    await refundCapturedPayments(order._id, "Order cancelled");
+  }
+}
+
+/**
+ * Moves an order to a new status if the lifecycle allows it, recording the
+ * change in statusHistory, the outbox and the audit log, then releases
+ * stock, appointment slots, coupon uses and open payments of cancelled
+ * orders and refunds what was captured on them. Throws a 409 HttpError for illegal transitions or if the order
+ * changed in the meantime. `route` is the request making the change.
+ */
+async function changeOrderStatus(
+  order,
+  status,
+  { actor, note, token, route } = {}
+) {
+  const from = order.status;
+  if (!canTransition(from, status)) {
+    throw new HttpError(
+      409,
+      `Cannot change order status from ${from} to ${status}`
+    );
+  }
+
+  const changedBy = actor || SYSTEM_ACTOR;
+
+  // Only apply the change if nobody moved the order in the meantime
+  const updatedOrder = await inTransaction(async (session) => {
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, status: from },
+      {
+        $set: { status },
+        $push: {
+          statusHistory: {
+            from,
+            to: status,
+            changedBy,
+            changedAt: new Date(),
+            note,
+          },
+        },
+      },
+      { new: true, session }
+    );
+    if (updated) {
+      await recordEvent(
+        EVENTS.ORDER_STATUS_CHANGED,
+        updated,
+        { from, to: status, note, actor: changedBy },
+        session
+      );
+      await recordAudit(
+        "status_changed",
+        { before: order, after: updated, actor: changedBy, route, note },
+        session
+      );
+    }
+    return updated;
+  });
+
+  if (!updatedOrder) {
+    throw new HttpError(409, "Order status was changed by another request");
+  }
+
+  await afterStatusChange(updatedOrder, token);
+  return updatedOrder;
+}
+
+module.exports = {
+  SYSTEM_ACTOR,
+  serviceToken,
+  changeOrderStatus,
+};
@@ -0,0 +1,36 @@
+"use strict";
+
+const PAYMENT_METHODS = ["card", "mbway", "multibanco", "paypal", "cash"];
+
+const PAYMENT_STATUSES = [
+  "requires_payment",
+  "authorized",
+  "captured",
+  "partially_refunded",
+  "refunded",
+  "failed",
+  "voided",
+];
+
+// Payments that can still be completed or voided
+const OPEN_PAYMENT_STATUSES = ["requires_payment", "authorized"];
+
+// Payments that moved money, even if part of it was given back
+const SETTLED_PAYMENT_STATUSES = ["captured", "partially_refunded", "refunded"];
+
+// Summary of an order's payments kept on the order itself
+const ORDER_PAYMENT_STATUSES = [
+  "unpaid",
+  "partially_paid",
+  "paid",
+  "partially_refunded",
+  "refunded",
+];
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  OPEN_PAYMENT_STATUSES,
+  SETTLED_PAYMENT_STATUSES,
+  ORDER_PAYMENT_STATUSES,
+};
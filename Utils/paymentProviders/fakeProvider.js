@@ -0,0 +1,49 @@
+"use strict";
+
+const crypto = require("crypto");
+const { sign } = require("./webhookSignature");
+
+function id(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+/**
+ * Local stand-in for a payment provider. Every call succeeds immediately;
+ * payments are completed by asking it for a signed webhook, which goes
+ * through the same verification as a real provider's.
+ */
+const fakeProvider = {
+  name: "fake",
+
+  async createIntent({ amount, currency }) {
+    return {
+      providerPaymentId: id("fake_pi"),
+      clientSecret: id("fake_secret"),
+      amount,
+      currency,
+    };
+  },
+
+  async capture() {
+    return { status: "captured" };
+  },
+
+  async void() {
+    return { status: "voided" };
+  },
+
+  async refund(providerPaymentId, amount) {
+    return { providerRefundId: id("fake_re"), amount, status: "succeeded" };
+  },
+
+  /**
+   * Builds the webhook the provider would send once the customer paid (or
+   * failed to). Returns the raw body and its signature header.
+   */
+  webhook(type, data, secret) {
+    const body = JSON.stringify({ id: id("fake_evt"), type, data });
+    return { body, signature: sign(body, secret) };
+  },
+};
+
+module.exports = fakeProvider;
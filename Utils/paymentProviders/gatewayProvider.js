@@ -0,0 +1,84 @@
+"use strict";
+
+const { default: axios } = require("axios");
+const { HttpError } = require("../httpError");
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Payment gateway reached over HTTP at PAYMENT_GATEWAY_URL, authenticated
+ * with PAYMENT_GATEWAY_API_KEY. Payments are authorised first and captured
+ * by staff later; the gateway reports progress through signed webhooks
+ * (payment.authorized, payment.captured, payment.failed, refund.succeeded).
+ */
+async function call(path, data) {
+  try {
+    const response = await axios.post(path, data, {
+      baseURL: process.env.PAYMENT_GATEWAY_URL,
+      headers: {
+        Authorization: `Bearer ${process.env.PAYMENT_GATEWAY_API_KEY}`,
+      },
+      timeout:
+        parseInt(process.env.PAYMENT_GATEWAY_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    });
+    return response.data || {};
+  } catch (error) {
+    const status = error.response && error.response.status;
+    if (status && status < 500) {
+      const body = error.response.data || {};
+      throw new HttpError(
+        402,
+        body.message || "The payment gateway rejected the request"
+      );
+    }
+    throw new HttpError(503, "The payment gateway is unavailable");
+  }
+}
+
+const gatewayProvider = {
+  name: "gateway",
+
+  // Checked on startup
+  requiredEnv: ["PAYMENT_GATEWAY_URL", "PAYMENT_GATEWAY_API_KEY"],
+
+  async createIntent({ amount, currency, method, metadata }) {
+    const intent = await call("/payments", {
+      amount,
+      currency,
+      method,
+      metadata,
+      captureMethod: "manual",
+    });
+    return {
+      providerPaymentId: intent.id,
+      clientSecret: intent.clientSecret,
+      amount,
+      currency,
+    };
+  },
+
+  async capture(providerPaymentId, amount) {
+    const result = await call(`/payments/${providerPaymentId}/capture`, {
+      amount,
+    });
+    return { status: result.status };
+  },
+
+  async void(providerPaymentId) {
+    const result = await call(`/payments/${providerPaymentId}/void`);
+    return { status: result.status };
+  },
+
+  async refund(providerPaymentId, amount) {
+    const refund = await call(`/payments/${providerPaymentId}/refunds`, {
+      amount,
+    });
+    return {
+      providerRefundId: refund.id,
+      amount: refund.amount,
+      status: refund.status,
+    };
+  },
+};
+
+module.exports = gatewayProvider;
@@ -0,0 +1,64 @@
+"use strict";
+
+const fakeProvider = require("./fakeProvider");
+const gatewayProvider = require("./gatewayProvider");
+
+// Available providers by name. Real providers plug in here with the same
+// createIntent/capture/void/refund interface; amounts are in cents.
+const PROVIDERS = {
+  fake: fakeProvider,
+  gateway: gatewayProvider,
+};
+
+// There is no default: the fake provider has to be asked for explicitly
+function providerName() {
+  return process.env.PAYMENT_PROVIDER;
+}
+
+function getProvider(name = providerName()) {
+  if (!name) throw new Error("PAYMENT_PROVIDER is not set");
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown payment provider: ${name}`);
+  return provider;
+}
+
+/**
+ * Called on startup so a missing or misspelled provider, or one missing its
+ * settings, stops the service instead of failing the first payment. In
+ * production the fake provider is refused and PAYMENT_WEBHOOK_SECRET is
+ * required, since provider webhooks can't be verified without it.
+ */
+function assertProviderConfigured() {
+  const provider = getProvider();
+  const production = process.env.NODE_ENV === "production";
+  if (production && provider === fakeProvider) {
+    throw new Error("The fake payment provider can't be used in production");
+  }
+
+  const required = [...(provider.requiredEnv || [])];
+  if (production) required.push("PAYMENT_WEBHOOK_SECRET");
+  const missing = required.filter((name) => !process.env[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing payment settings: ${missing.join(", ")}`);
+  }
+}
+
+/**
+ * Whether payments may be completed through the simulate endpoint. Needs
+ * PAYMENT_SIMULATION_ENABLED=true and the fake provider, and is never on in
+ * production.
+ */
+function simulationEnabled() {
+  return (
+    process.env.PAYMENT_SIMULATION_ENABLED === "true" &&
+    providerName() === "fake" &&
+    process.env.NODE_ENV !== "production"
+  );
+}
+
+module.exports = {
+  getProvider,
+  providerName,
+  assertProviderConfigured,
+  simulationEnabled,
+};
@@ -0,0 +1,52 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const TOLERANCE_SECONDS = 5 * 60;
+
+function hmac(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * Builds the signature header for a webhook body:
+ * "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>".
+ */
+function sign(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+}
+
+/**
+ * Checks a signature header against the raw body. Signatures older than
+ * five minutes are rejected to stop replays.
+ */
+function verify(body, header, secret) {
+  if (!header || !secret) return false;
+
+  const parts = Object.fromEntries(
+    String(header)
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) return false;
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(hmac(secret, timestamp, body), "hex");
+  const received = Buffer.from(parts.v1, "hex");
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+module.exports = {
+  sign,
+  verify,
+};
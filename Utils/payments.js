@@ -0,0 +1,306 @@
+"use strict";
+
+const Order = require("../Models/order");
+const Payment = require("../Models/payment");
+const { HttpError } = require("./httpError");
+const { canTransition } = require("./orderStatus");
+const { SYSTEM_ACTOR, changeOrderStatus } = require("./orderTransitions");
+const { inTransaction } = require("./events");
+const { recordAudit } = require("./audit");
+const { getProvider, providerName } = require("./paymentProviders");
+const { verify } = require("./paymentProviders/webhookSignature");
+const {
+  OPEN_PAYMENT_STATUSES,
+  SETTLED_PAYMENT_STATUSES,
+} = require("./paymentMethods");
+const { formatMoney } = require("./money");
+
+/**
+ * Recomputes amountPaid and paymentStatus of an order from its payments.
+ * A fully paid confirmed order moves to "paid" and a fully refunded one to
+ * "refunded" when the lifecycle allows it.
+ */
+async function syncOrderPayment(orderId) {
+  const payments = await Payment.find({
+    orderId,
+    status: { $in: SETTLED_PAYMENT_STATUSES },
+  });
+  const captured = payments.reduce((sum, p) => sum + p.amount, 0);
+  const refunded = payments.reduce((sum, p) => sum + p.amountRefunded, 0);
+  const amountPaid = captured - refunded;
+
+  // Provider events still settle payments of deleted orders
+  const order = await Order.findById(orderId).setOptions({
+    includeDeleted: true,
+  });
+  if (!order) return null;
+
+  let paymentStatus = "unpaid";
+  if (captured > 0 && refunded >= captured) paymentStatus = "refunded";
+  else if (refunded > 0) paymentStatus = "partially_refunded";
+  else if (amountPaid >= order.total) paymentStatus = "paid";
+  else if (amountPaid > 0) paymentStatus = "partially_paid";
+
+  if (
+    order.amountPaid !== amountPaid ||
+    order.paymentStatus !== paymentStatus
+  ) {
+    const before = order.toObject();
+    await inTransaction(async (session) => {
+      await Order.updateOne(
+        { _id: orderId },
+        { amountPaid, paymentStatus },
+        { session }
+      );
+      order.amountPaid = amountPaid;
+      order.paymentStatus = paymentStatus;
+      await recordAudit(
+        "updated",
+        { before, after: order, actor: SYSTEM_ACTOR, note: "Payments synced" },
+        session
+      );
+    });
+  }
+  if (order.deletedAt) return order;
+
+  if (paymentStatus === "paid" && canTransition(order.status, "paid")) {
+    return changeOrderStatus(order, "paid", { note: "Payment captured" });
+  }
+  if (paymentStatus === "refunded" && canTransition(order.status, "refunded")) {
+    return changeOrderStatus(order, "refunded", { note: "Payment refunded" });
+  }
+  return order;
+}
+
+/**
+ * Starts a payment for what is still owed on a confirmed order. Pending
+ * orders can't be paid yet: they can't move to "paid" and their items may
+ * still change. The returned payment includes the provider's clientSecret
+ * for the client to finish the payment with.
+ */
+async function createPayment(order, method) {
+  if (order.status !== "confirmed") {
+    throw new HttpError(409, `Orders that are ${order.status} can't be paid`);
+  }
+
+  const open = await Payment.exists({
+    orderId: order._id,
+    status: { $in: OPEN_PAYMENT_STATUSES },
+  });
+  if (open) {
+    throw new HttpError(409, "The order already has a payment in progress");
+  }
+
+  const amount = order.total - (order.amountPaid || 0);
+  if (amount <= 0) {
+    throw new HttpError(409, "The order is already paid");
+  }
+
+  const provider = getProvider();
+  const intent = await provider.createIntent({
+    amount,
+    currency: order.currency,
+    method,
+    metadata: { orderId: String(order._id), orderNumber: order.order_number },
+  });
+
+  const payment = await Payment.create({
+    orderId: order._id,
+    method,
+    amount,
+    currency: order.currency,
+    provider: providerName(),
+    providerPaymentId: intent.providerPaymentId,
+    clientSecret: intent.clientSecret,
+  });
+
+  return payment;
+}
+
+async function capturePayment(payment) {
+  if (payment.status !== "authorized") {
+    throw new HttpError(409, `A ${payment.status} payment can't be captured`);
+  }
+
+  await getProvider(payment.provider).capture(
+    payment.providerPaymentId,
+    payment.amount
+  );
+  payment.status = "captured";
+  await payment.save();
+  await syncOrderPayment(payment.orderId);
+  return payment;
+}
+
+async function voidPayment(payment) {
+  if (!OPEN_PAYMENT_STATUSES.includes(payment.status)) {
+    throw new HttpError(409, `A ${payment.status} payment can't be voided`);
+  }
+
+  await getProvider(payment.provider).void(payment.providerPaymentId);
+  payment.status = "voided";
+  await payment.save();
+  return payment;
+}
+
+// Voids the payments still in progress for an order, e.g. when it's cancelled.
+async function voidOpenPayments(orderId) {
+  const payments = await Payment.find({
+    orderId,
+    status: { $in: OPEN_PAYMENT_STATUSES },
+  });
+  for (const payment of payments) {
+    await voidPayment(payment);
+  }
+}
+
+// Refunds what was captured on an order, e.g. when it's cancelled with
+// part of it paid.
+async function refundCapturedPayments(orderId, reason) {
+  const payments = await Payment.find({
+    orderId,
+    status: { $in: ["captured", "partially_refunded"] },
+  });
+  for (const payment of payments) {
+    await refundPayment(payment, undefined, reason);
+  }
+}
+
+/**
+ * Refunds `amount` cents of an order across its captured payments, oldest
+ * first, e.g. for returned items. Returns the cents refunded, which is
+ * less than asked for when less than that was paid.
+ */
+async function refundOrderAmount(orderId, amount, reason) {
+  const payments = await Payment.find({
+    orderId,
+    status: { $in: ["captured", "partially_refunded"] },
+  }).sort({ createdAt: 1 });
+
+  let refunded = 0;
+  for (const payment of payments) {
+    const value = Math.min(
+      amount - refunded,
+      payment.amount - payment.amountRefunded
+    );
+    if (value <= 0) continue;
+    await refundPayment(payment, value, reason);
+    refunded += value;
+  }
+  return refunded;
+}
+
+/**
+ * Refunds `amount` cents, or all that's left, of a captured payment.
+ * Several partial refunds can be made until the captured amount is used up.
+ */
+async function refundPayment(payment, amount, reason) {
+  if (!["captured", "partially_refunded"].includes(payment.status)) {
+    throw new HttpError(409, `A ${payment.status} payment can't be refunded`);
+  }
+
+  const refundable = payment.amount - payment.amountRefunded;
+  const value = amount === undefined ? refundable : amount;
+  if (value <= 0 || value > refundable) {
+    const most = formatMoney(refundable, payment.currency);
+    throw new HttpError(422, `Refund amount can be at most ${most}`, [
+      {
+        location: "body",
+        field: "amount",
+        message: `amount must be at most ${most}`,
+      },
+    ]);
+  }
+
+  const refund = await getProvider(payment.provider).refund(
+    payment.providerPaymentId,
+    value
+  );
+
+  applyRefund(payment, value, reason, refund.providerRefundId);
+  await payment.save();
+  await syncOrderPayment(payment.orderId);
+  return payment;
+}
+
+function applyRefund(payment, amount, reason, providerRefundId) {
+  payment.refunds.push({ amount, reason, providerRefundId });
+  payment.amountRefunded += amount;
+  payment.status =
+    payment.amountRefunded >= payment.amount
+      ? "refunded"
+      : "partially_refunded";
+}
+
+/**
+ * Verifies and applies a provider webhook. `rawBody` must be the exact
+ * bytes received, as the signature covers them. Events that were already
+ * applied are acknowledged without doing anything.
+ */
+async function handleWebhook(rawBody, signature) {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!verify(rawBody, signature, secret)) {
+    throw new HttpError(401, "Invalid webhook signature");
+  }
+
+  const event = JSON.parse(rawBody);
+  const data = event.data || {};
+
+  const payment = await Payment.findOne({
+    providerPaymentId: data.providerPaymentId,
+  });
+  if (!payment) {
+    throw new HttpError(404, "Payment not found");
+  }
+  if (payment.processedEvents.includes(event.id)) {
+    return payment;
+  }
+
+  switch (event.type) {
+    case "payment.authorized":
+      if (payment.status === "requires_payment") {
+        payment.status = "authorized";
+      }
+      break;
+    case "payment.captured":
+      if (OPEN_PAYMENT_STATUSES.includes(payment.status)) {
+        payment.status = "captured";
+      }
+      break;
+    case "payment.failed":
+      if (OPEN_PAYMENT_STATUSES.includes(payment.status)) {
+        payment.status = "failed";
+        payment.failureReason = data.reason;
+      }
+      break;
+    case "refund.succeeded": {
+      const known = payment.refunds.some(
+        (refund) => refund.providerRefundId === data.providerRefundId
+      );
+      if (!known && data.amount > 0) {
+        applyRefund(payment, data.amount, data.reason, data.providerRefundId);
+      }
+      break;
+    }
+    default:
+      // Events we don't handle are acknowledged so they aren't resent
+      break;
+  }
+
+  payment.processedEvents.push(event.id);
+  await payment.save();
+  await syncOrderPayment(payment.orderId);
+  return payment;
+}
+
+module.exports = {
+  createPayment,
+  capturePayment,
+  voidPayment,
+  voidOpenPayments,
+  refundCapturedPayments,
+  refundOrderAmount,
+  refundPayment,
+  handleWebhook,
+  syncOrderPayment,
+};
@@ -0,0 +1,156 @@
+"use strict";
+
+const Order = require("../Models/order");
+const { defineSaga, runSaga } = require("./saga");
+const { quantitiesByProduct, applyMovementsEach } = require("./stock");
+const { redeemCoupon, releaseCoupon } = require("./coupons");
+const { EVENTS, inTransaction, recordEvent } = require("./events");
+const { recordAudit } = require("./audit");
+const { voidOpenPayments } = require("./payments");
+const {
+  getSchedule,
+  bookAppointment,
+  releaseAppointment,
+} = require("./scheduling");
+
+const PLACE_ORDER = "place_order";
+
+// Steps run in order; compensations run in reverse when a later step fails.
+defineSaga(
+  PLACE_ORDER,
+  [
+    {
+      name: "redeemCoupon",
+      action: async (context) => {
+        const { order } = context;
+        if (!order.coupon || !order.coupon.couponId) return;
+        await redeemCoupon(order.coupon.couponId, order.client._id, order._id);
+      },
+      compensate: async (context) => {
+        await releaseCoupon(context.order._id);
+      },
+    },
+    {
+      name: "reserveStock",
+      // Each product is recorded in context.reservedStock once it's taken
+      // out of stock, so a reservation that failed or was interrupted part
+      // way puts back exactly what it took
+      compensateIncomplete: true,
+      action: async (context, token, checkpoint) => {
+        context.reservedStock = context.reservedStock || {};
+        await applyMovementsEach(
+          quantitiesByProduct(context.order.items),
+          token,
+          async (productId, quantity) => {
+            context.reservedStock[productId] = quantity;
+            await checkpoint();
+          }
+        );
+      },
+      compensate: async (context, token, checkpoint) => {
+        const reserved = context.reservedStock || {};
+        const movements = {};
+        for (const [productId, quantity] of Object.entries(reserved)) {
+          movements[productId] = -quantity;
+        }
+        await applyMovementsEach(movements, token, async (productId) => {
+          delete reserved[productId];
+          await checkpoint();
+        });
+      },
+    },
+    {
+      name: "bookAppointment",
+      action: async (context) => {
+        const { order } = context;
+        if (!order.appointmentDate || !order.items.some((i) => i.serviceId)) {
+          return;
+        }
+        const schedule = await getSchedule(order.store._id);
+        order.appointmentEnd = await bookAppointment(order, schedule);
+      },
+      compensate: async (context) => {
+        await releaseAppointment(context.order._id);
+      },
+    },
+    {
+      // Nothing to do up front; once the order is saved the client can start
+      // paying it, so a rollback voids any payment authorised in the meantime
+      name: "voidPayments",
+      action: async () => {},
+      compensate: async (context) => {
+        await voidOpenPayments(context.order._id);
+      },
+    },
+    {
+      name: "saveOrder",
+      action: async (context) => {
+        await inTransaction(async (session) => {
+          const order = await new Order(context.order).save({ session });
+          await recordEvent(
+            EVENTS.ORDER_CREATED,
+            order,
+            { actor: context.actor },
+            session
+          );
+          await recordAudit(
+            "created",
+            { after: order, actor: context.actor, route: context.route },
+            session
+          );
+        });
+      },
+      compensate: async (context) => {
+        await inTransaction(async (session) => {
+          const { deletedCount } = await Order.deleteOne(
+            { _id: context.order._id },
+            { session }
+          );
+          if (deletedCount > 0) {
+            await recordEvent(
+              EVENTS.ORDER_DELETED,
+              context.order,
+              { actor: context.actor, reason: "compensated" },
+              session
+            );
+            await recordAudit(
+              "deleted",
+              {
+                before: context.order,
+                actor: context.actor,
+                route: context.route,
+                note: "Rolled back after a failed step",
+              },
+              session
+            );
+          }
+        });
+      },
+    },
+  ],
+  {
+    // The order is only there once saveOrder committed, whether or not the
+    // step was marked done before the process went away
+    completed: async (context) =>
+      Boolean(
+        await Order.exists({ _id: context.order._id }).setOptions({
+          includeDeleted: true,
+        })
+      ),
+  }
+);
+
+/**
+ * Places an order through the place_order saga and returns the saved
+ * document. `order` is an unsaved Order document, `actor` the user placing
+ * it and `route` the request doing so, for the audit log.
+ */
+async function placeOrder(order, token, actor, route) {
+  await runSaga(PLACE_ORDER, { order: order.toObject(), actor, route }, token);
+  return Order.findById(order._id);
+}
+
+module.exports = {
+  PLACE_ORDER,
+  placeOrder,
+};
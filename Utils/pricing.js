@@ -0,0 +1,215 @@
+"use strict";
+
+const Promotion = require("../Models/promotion");
+const TaxRate = require("../Models/taxRate");
+const { HttpError } = require("./httpError");
+const { priceItems } = require("./catalog");
+const { cached, invalidate } = require("./cache");
+const { findUsableCoupon } = require("./coupons");
+const { defaultCurrency, formatMoney, percentOf } = require("./money");
+
+// Portuguese standard VAT rate, used for categories without a TaxRate.
+// Catalogue prices already include it, so it only decides how much of a
+// price is reported as VAT.
+const DEFAULT_VAT_RATE = 0.23;
+
+function defaultVatRate() {
+  const value = parseFloat(process.env.DEFAULT_VAT_RATE);
+  return isNaN(value) ? DEFAULT_VAT_RATE : value;
+}
+
+// VAT rates by category
+async function vatRates() {
+  return cached("tax-rates", async () => {
+    const rates = await TaxRate.find().lean();
+    return Object.fromEntries(rates.map((rate) => [rate.category, rate.rate]));
+  });
+}
+
+function invalidateVatRates() {
+  return invalidate("tax-rates");
+}
+
+async function activePromotions(storeId, at) {
+  return Promotion.find({
+    active: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: at } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: at } }] },
+      { $or: [{ storeIds: { $size: 0 } }, { storeIds: storeId }] },
+    ],
+  }).lean();
+}
+
+function includesId(ids, id) {
+  return id !== undefined && ids.some((other) => String(other) === String(id));
+}
+
+function promotionMatches(promotion, item) {
+  const { productIds = [], serviceIds = [], categories = [] } = promotion;
+  if (!productIds.length && !serviceIds.length && !categories.length) {
+    return true;
+  }
+  return (
+    includesId(productIds, item.productId) ||
+    includesId(serviceIds, item.serviceId) ||
+    (item.category !== undefined && categories.includes(item.category))
+  );
+}
+
+// Discount in cents; fixed discounts hold their value in cents too
+function discountAmount({ type, value }, base) {
+  const amount = type === "percentage" ? percentOf(base, value) : value;
+  return Math.min(amount, base);
+}
+
+/**
+ * Splits `amount` cents over `bases` in proportion to each base, so that
+ * the rounded shares add up to exactly `amount`.
+ */
+function allocate(amount, bases) {
+  const totalBase = bases.reduce((sum, base) => sum + base, 0);
+  if (totalBase <= 0) return bases.map(() => 0);
+
+  const shares = bases.map((base) => Math.floor((amount * base) / totalBase));
+  const remainder = amount - shares.reduce((sum, share) => sum + share, 0);
+  const largest = bases.indexOf(Math.max(...bases));
+  shares[largest] += remainder;
+  return shares;
+}
+
+/**
+ * Applies promotions, a coupon and VAT to priced items, all amounts in
+ * cents. Each line gets
+ * the best promotion that matches it; the coupon then applies to what is
+ * left of the order. Catalogue prices include VAT, so a line's total is
+ * its subtotal less discounts and its tax is the VAT contained in that
+ * total, never an extra charge.
+ *
+ * `coupon` is either a Coupon document or the snapshot stored on an
+ * existing order, whose terms are honoured as they were when it was used.
+ */
+function applyDiscountsAndTax(items, { promotions = [], coupon, rates = {} }) {
+  const lines = items.map((item) => {
+    const base = item.price * (item.productId ? item.quantity : 1);
+
+    let promotion = null;
+    let promotionDiscount = 0;
+    for (const candidate of promotions) {
+      if (!promotionMatches(candidate, item)) continue;
+      const amount = discountAmount(candidate, base);
+      if (amount > promotionDiscount) {
+        promotion = candidate;
+        promotionDiscount = amount;
+      }
+    }
+
+    return { item, base, promotion, promotionDiscount };
+  });
+
+  const remaining = lines.map((line) => line.base - line.promotionDiscount);
+  const couponBase = remaining.reduce((sum, r) => sum + r, 0);
+
+  let couponSummary;
+  let couponShares = lines.map(() => 0);
+  if (coupon) {
+    if (coupon.minSubtotal && couponBase < coupon.minSubtotal) {
+      const message = `Coupon code needs an order of at least ${formatMoney(
+        coupon.minSubtotal
+      )}`;
+      throw new HttpError(422, message, [
+        { location: "body", field: "couponCode", message },
+      ]);
+    }
+    const amount = discountAmount(coupon, couponBase);
+    couponShares = allocate(amount, remaining);
+    couponSummary = {
+      couponId: coupon.couponId || coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      value: coupon.value,
+      amount,
+    };
+  }
+
+  const promotionTotals = new Map();
+  const pricedItems = lines.map((line, index) => {
+    const discount = line.promotionDiscount + couponShares[index];
+    const category = line.item.category;
+    const taxRate =
+      category !== undefined && rates[category] !== undefined
+        ? rates[category]
+        : defaultVatRate();
+    const total = line.base - discount;
+    const tax = Math.round((total * taxRate) / (1 + taxRate));
+
+    if (line.promotion) {
+      const key = String(line.promotion._id);
+      const summary = promotionTotals.get(key) || {
+        promotionId: line.promotion._id,
+        name: line.promotion.name,
+        amount: 0,
+      };
+      summary.amount += line.promotionDiscount;
+      promotionTotals.set(key, summary);
+    }
+
+    return {
+      ...line.item,
+      subtotal: line.base,
+      discount,
+      taxRate,
+      tax,
+      total,
+    };
+  });
+
+  const sum = (field) =>
+    pricedItems.reduce((acc, item) => acc + item[field], 0);
+  const subtotal = sum("subtotal");
+  const discount = sum("discount");
+  const tax = sum("tax");
+
+  return {
+    items: pricedItems,
+    subtotal,
+    discount,
+    tax,
+    total: subtotal - discount,
+    currency: defaultCurrency(),
+    coupon: couponSummary,
+    promotions: [...promotionTotals.values()],
+  };
+}
+
+/**
+ * Prices order items from the catalogue and works out the order's
+ * subtotal, discount, tax and total. Pass `couponCode` for a new coupon,
+ * or `coupon` to keep the one already stored on an order.
+ */
+async function priceOrder(
+  items,
+  { storeId, clientId, couponCode, coupon, at = new Date() },
+  token
+) {
+  const [catalogue, promotions, rates, newCoupon] = await Promise.all([
+    priceItems(items, token),
+    activePromotions(storeId, at),
+    vatRates(),
+    couponCode
+      ? findUsableCoupon(couponCode, { storeId, clientId, at })
+      : undefined,
+  ]);
+
+  return applyDiscountsAndTax(catalogue.items, {
+    promotions,
+    coupon: newCoupon || coupon,
+    rates,
+  });
+}
+
+module.exports = {
+  applyDiscountsAndTax,
+  priceOrder,
+  invalidateVatRates,
+};
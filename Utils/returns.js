@@ -0,0 +1,250 @@
+"use strict";
+
+const Order = require("../Models/order");
+const ReturnRequest = require("../Models/returnRequest");
+const { HttpError } = require("./httpError");
+const { EVENTS, inTransaction, recordEvent } = require("./events");
+const { quantitiesByProduct, releaseStock } = require("./stock");
+const { refundOrderAmount } = require("./payments");
+
+// Only orders that were handed over can have products sent back
+const RETURNABLE_STATUSES = ["fulfilled"];
+
+// Returns still holding units of an order, so they can't be asked for twice
+const ACTIVE_RETURN_STATUSES = ["requested", "approved"];
+
+/**
+ * Units of each product of an order that can still be returned: the
+ * ordered quantity minus what pending and approved returns already cover.
+ */
+async function returnableQuantities(order, session) {
+  const ordered = quantitiesByProduct(order.items);
+  const returns = await ReturnRequest.find({
+    orderId: order._id,
+    status: { $in: ACTIVE_RETURN_STATUSES },
+  }).session(session || null);
+  const returned = quantitiesByProduct(returns.flatMap((r) => r.items));
+
+  for (const productId of Object.keys(ordered)) {
+    ordered[productId] -= returned[productId] || 0;
+  }
+  return ordered;
+}
+
+/**
+ * Cents the client paid for `items` ({ productId, quantity }) of an order:
+ * each unit costs its line's total, after discounts, over its quantity.
+ */
+function returnAmount(order, items) {
+  const paid = {};
+  for (const line of order.items) {
+    if (!line.productId) continue;
+    const key = String(line.productId);
+    const total =
+      line.total !== undefined ? line.total : line.price * line.quantity;
+    paid[key] = paid[key] || { total: 0, quantity: 0 };
+    paid[key].total += total;
+    paid[key].quantity += line.quantity;
+  }
+
+  let amount = 0;
+  for (const item of items) {
+    const line = paid[String(item.productId)];
+    if (line && line.quantity > 0) {
+      amount += Math.round((line.total * item.quantity) / line.quantity);
+    }
+  }
+  return amount;
+}
+
+// Throws a 422 HttpError listing the items that can't be returned
+function assertReturnable(items, left) {
+  const errors = [];
+  items.forEach((item, index) => {
+    const productId = String(item.productId);
+    if (left[productId] === undefined) {
+      errors.push({
+        location: "body",
+        field: `items.${index}.productId`,
+        message: "productId is not a product of this order",
+      });
+      return;
+    }
+    if (item.quantity > left[productId]) {
+      errors.push({
+        location: "body",
+        field: `items.${index}.quantity`,
+        message: `quantity must be at most ${Math.max(left[productId], 0)}`,
+      });
+    }
+    left[productId] -= item.quantity;
+  });
+  if (errors.length > 0) {
+    throw new HttpError(422, "Some items can't be returned", errors);
+  }
+}
+
+/**
+ * Records a client's request to return product lines of an order.
+ * `items` is a list of { productId, quantity, reason }; quantities are
+ * checked against what is left to return and a 422 HttpError lists the
+ * lines that don't fit. The check and the insert share a transaction that
+ * also writes the order, so concurrent requests can't both pass it.
+ */
+async function requestReturn(order, items, actor) {
+  if (!RETURNABLE_STATUSES.includes(order.status)) {
+    throw new HttpError(
+      409,
+      `Orders that are ${order.status} can't be returned`
+    );
+  }
+
+  const names = {};
+  for (const line of order.items) {
+    if (line.productId) names[String(line.productId)] = line.name;
+  }
+
+  return inTransaction(async (session) => {
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { lastReturnAt: new Date() } },
+      { session }
+    );
+    assertReturnable(items, await returnableQuantities(order, session));
+
+    const [returnRequest] = await ReturnRequest.create(
+      [
+        {
+          orderId: order._id,
+          items: items.map((item) => ({
+            ...item,
+            name: names[String(item.productId)],
+          })),
+          requestedBy: actor,
+        },
+      ],
+      { session }
+    );
+    await recordEvent(
+      EVENTS.RETURN_REQUESTED,
+      order,
+      { return: returnRequest.toObject(), actor },
+      session
+    );
+    return returnRequest;
+  });
+}
+
+function decision(status, actor, note) {
+  return {
+    status,
+    decidedBy: actor,
+    decidedAt: new Date(),
+    decisionNote: note,
+  };
+}
+
+// Order the return belongs to, including deleted ones so admins can still
+// settle their returns.
+async function returnOrder(returnRequest) {
+  const order = await Order.findById(returnRequest.orderId).setOptions({
+    includeDeleted: true,
+  });
+  if (!order) {
+    throw new HttpError(404, "Order not found");
+  }
+  return order;
+}
+
+/**
+ * Approves a requested return, puts its units back into stock through the
+ * products service and refunds what they cost to the order's captured
+ * payments. If restocking or refunding fails the return goes back to
+ * "requested" so it can be approved again; what was already done isn't
+ * repeated.
+ */
+async function approveReturn(returnRequest, { actor, note, token } = {}) {
+  const order = await returnOrder(returnRequest);
+
+  // Claim the return first so two approvals can't restock it twice
+  const approved = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: "requested" },
+    { $set: decision("approved", actor, note) },
+    { new: true }
+  );
+  if (!approved) {
+    throw new HttpError(
+      409,
+      `A ${returnRequest.status} return can't be approved`
+    );
+  }
+
+  try {
+    if (!approved.restockedAt) {
+      await releaseStock(approved.items, token);
+      approved.restockedAt = new Date();
+      await approved.save();
+    }
+    if (!approved.refundedAt) {
+      approved.refundedAmount = await refundOrderAmount(
+        order._id,
+        Math.min(returnAmount(order, approved.items), order.amountPaid || 0),
+        "Items returned"
+      );
+      approved.refundedAt = new Date();
+      await approved.save();
+    }
+  } catch (error) {
+    await ReturnRequest.updateOne(
+      { _id: approved._id, status: "approved" },
+      {
+        $set: { status: "requested" },
+        $unset: { decidedBy: 1, decidedAt: 1, decisionNote: 1 },
+      }
+    );
+    throw error;
+  }
+
+  return inTransaction(async (session) => {
+    await recordEvent(
+      EVENTS.RETURN_APPROVED,
+      order,
+      { return: approved.toObject(), actor },
+      session
+    );
+    return approved;
+  });
+}
+
+async function rejectReturn(returnRequest, { actor, note } = {}) {
+  const order = await returnOrder(returnRequest);
+
+  return inTransaction(async (session) => {
+    const rejected = await ReturnRequest.findOneAndUpdate(
+      { _id: returnRequest._id, status: "requested" },
+      { $set: decision("rejected", actor, note) },
+      { new: true, session }
+    );
+    if (!rejected) {
+      throw new HttpError(
+        409,
+        `A ${returnRequest.status} return can't be rejected`
+      );
+    }
+    await recordEvent(
+      EVENTS.RETURN_REJECTED,
+      order,
+      { return: rejected.toObject(), actor },
+      session
+    );
+    return rejected;
+  });
+}
+
+module.exports = {
+  RETURNABLE_STATUSES,
+  returnableQuantities,
+  requestReturn,
+  approveReturn,
+  rejectReturn,
+};
@@ -0,0 +1,236 @@
+"use strict";
+
+const Saga = require("../Models/saga");
+
+// Step definitions by saga type, needed to compensate sagas after a restart
+const definitions = {};
+// Optional checks by saga type telling whether an interrupted saga's
+// outcome was in fact reached
+const completionChecks = {};
+
+/**
+ * Registers the steps of a saga type. Each step has a name, an `action`
+ * and an optional `compensate`, both called with (context, token,
+ * checkpoint). An action may return an object which is merged into the
+ * context. `checkpoint()` persists the context, so a step can record its
+ * progress as it goes; steps with `compensateIncomplete` set are then
+ * compensated even when they failed or were interrupted part way.
+ * `completed(context)` may tell recovery that a saga interrupted while
+ * running did finish its work, e.g. its last step committed before the
+ * step could be marked done, so it must not be rolled back.
+ */
+function defineSaga(type, steps, { completed } = {}) {
+  definitions[type] = steps;
+  if (completed) completionChecks[type] = completed;
+}
+
+function stepDefinition(type, name) {
+  return (definitions[type] || []).find((step) => step.name === name);
+}
+
+async function persist(saga) {
+  saga.markModified("context");
+  await saga.save();
+}
+
+/**
+ * Runs the compensations of every finished step in reverse order, and of
+ * failed or interrupted steps that can undo their recorded progress. Other
+ * steps whose outcome is unknown (still "running") are flagged as failed
+ * so they can be checked by hand.
+ */
+async function compensate(saga, token) {
+  saga.state = "compensating";
+  await persist(saga);
+
+  let failed = false;
+
+  for (const step of [...saga.steps].reverse()) {
+    const definition = stepDefinition(saga.type, step.name);
+    const undoable =
+      ["running", "failed"].includes(step.status) &&
+      definition &&
+      definition.compensateIncomplete;
+
+    if (!undoable && step.status === "running") {
+      step.status = "failed";
+      step.error = step.error || "Interrupted before completion";
+      failed = true;
+      continue;
+    }
+    if (!undoable && step.status !== "done") continue;
+
+    try {
+      if (definition && definition.compensate) {
+        await definition.compensate(saga.context, token, () => persist(saga));
+      }
+      step.status = "compensated";
+    } catch (error) {
+      console.error(
+        `Failed to compensate step ${step.name} of saga ${saga._id}:`,
+        error.message
+      );
+      step.status = "failed";
+      step.error = error.message;
+      failed = true;
+    }
+    await persist(saga);
+  }
+
+  saga.state = failed ? "failed" : "compensated";
+  await persist(saga);
+}
+
+/**
+ * Runs a saga step by step, persisting its state after each one. If a step
+ * fails the completed steps are compensated and the original error is
+ * rethrown.
+ */
+async function runSaga(type, context, token) {
+  const steps = definitions[type];
+  if (!steps) {
+    throw new Error(`Unknown saga type: ${type}`);
+  }
+
+  const saga = await Saga.create({
+    type,
+    context,
+    steps: steps.map((step) => ({ name: step.name })),
+  });
+
+  for (const [index, definition] of steps.entries()) {
+    const step = saga.steps[index];
+    step.status = "running";
+    step.startedAt = new Date();
+    await persist(saga);
+
+    try {
+      const result = await definition.action(saga.context, token, () =>
+        persist(saga)
+      );
+      if (result) Object.assign(saga.context, result);
+      step.status = "done";
+      step.finishedAt = new Date();
+      await persist(saga);
+    } catch (error) {
+      step.status = "failed";
+      step.error = error.message;
+      step.finishedAt = new Date();
+      saga.error = error.message;
+      await persist(saga);
+      await compensate(saga, token);
+      throw error;
+    }
+  }
+
+  saga.state = "completed";
+  await persist(saga);
+
+  return saga;
+}
+
+const DEFAULT_RECOVERY_AGE_MS = 5 * 60 * 1000;
+const DEFAULT_RECOVERY_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let recovering = null;
+
+// Whether a running saga actually reached its outcome
+async function reachedOutcome(saga) {
+  if (saga.state !== "running") return false;
+  if (saga.steps.every((step) => step.status === "done")) return true;
+  const check = completionChecks[saga.type];
+  return Boolean(check && (await check(saga.context)));
+}
+
+// Takes a saga for recovery unless another replica touched it since it
+// was read.
+function claim(saga) {
+  return Saga.findOneAndUpdate(
+    { _id: saga._id, updatedAt: saga.updatedAt },
+    { $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Finishes sagas left behind by a crashed process. A saga that reached
+ * its outcome is marked as completed, anything else is rolled back.
+ * Only sagas untouched for SAGA_RECOVERY_AGE_MS are considered, so sagas
+ * still running on other replicas are left alone. Compensations run with
+ * SERVICE_TOKEN since the caller's token is not persisted.
+ */
+async function recoverSagas() {
+  const maxAge =
+    parseInt(process.env.SAGA_RECOVERY_AGE_MS) || DEFAULT_RECOVERY_AGE_MS;
+  const sagas = await Saga.find({
+    state: { $in: ["running", "compensating"] },
+    updatedAt: { $lt: new Date(Date.now() - maxAge) },
+  });
+  const token = process.env.SERVICE_TOKEN
+    ? `Bearer ${process.env.SERVICE_TOKEN}`
+    : undefined;
+
+  let recovered = 0;
+  for (const stale of sagas) {
+    try {
+      const saga = await claim(stale);
+      if (!saga) continue;
+      recovered += 1;
+
+      if (await reachedOutcome(saga)) {
+        saga.state = "completed";
+        await persist(saga);
+        continue;
+      }
+
+      saga.error = saga.error || "Interrupted by a restart";
+      await compensate(saga, token);
+    } catch (error) {
+      console.error(`Failed to recover saga ${stale._id}:`, error.message);
+    }
+  }
+
+  return recovered;
+}
+
+// Runs a recovery pass unless one is already in progress.
+function run() {
+  if (!recovering) {
+    recovering = recoverSagas()
+      .then((count) => {
+        if (count > 0) console.log(`Recovered ${count} interrupted saga(s).`);
+      })
+      .catch((error) => console.error("Error recovering sagas:", error))
+      .finally(() => {
+        recovering = null;
+      });
+  }
+  return recovering;
+}
+
+/**
+ * Recovers interrupted sagas now and then every SAGA_RECOVERY_INTERVAL_MS
+ * (every minute by default), so sagas cut short by a crash or a rolling
+ * restart don't keep stock, coupons and slots held.
+ */
+function startSagaRecovery() {
+  const interval =
+    parseInt(process.env.SAGA_RECOVERY_INTERVAL_MS) ||
+    DEFAULT_RECOVERY_INTERVAL_MS;
+  timer = setInterval(run, interval);
+  run();
+}
+
+async function stopSagaRecovery() {
+  clearInterval(timer);
+  if (recovering) await recovering;
+}
+
+module.exports = {
+  defineSaga,
+  runSaga,
+  recoverSagas,
+  startSagaRecovery,
+  stopSagaRecovery,
+};
@@ -0,0 +1,267 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const StoreSchedule = require("../Models/storeSchedule");
+const SlotBooking = require("../Models/slotBooking");
+const { HttpError } = require("./httpError");
+
+const DEFAULT_SERVICE_MINUTES = 60;
+const MINUTE = 60 * 1000;
+
+// Used for stores that haven't configured a schedule: Monday to Saturday,
+// 09:00 to 18:00, one appointment at a time
+const DEFAULT_SCHEDULE = {
+  timezone: "Europe/Lisbon",
+  slotMinutes: 30,
+  capacity: 1,
+  openingHours: [1, 2, 3, 4, 5, 6].map((day) => ({
+    day,
+    open: "09:00",
+    close: "18:00",
+  })),
+  closedDates: [],
+};
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+// Local date (YYYY-MM-DD), weekday and minutes since midnight of an instant
+function localParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+
+  const year = Number(parts.year);
+  const month = Number(parts.month);
+  const day = Number(parts.day);
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    seconds: Number(parts.second),
+    asUtc: Date.UTC(
+      year,
+      month - 1,
+      day,
+      Number(parts.hour),
+      Number(parts.minute),
+      Number(parts.second)
+    ),
+  };
+}
+
+// Instant at which the local time `minutes` past midnight of `date` occurs
+function zonedTime(date, minutes, timeZone) {
+  const [year, month, day] = date.split("-").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Correct for the zone offset twice so DST changes are handled
+  let instant = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const offset = localParts(new Date(instant), timeZone).asUtc - instant;
+    instant = wallClock - offset;
+  }
+  return new Date(instant);
+}
+
+async function getSchedule(storeId) {
+  const schedule = await StoreSchedule.findOne({ storeId }).lean();
+  return schedule || { ...DEFAULT_SCHEDULE, storeId };
+}
+
+/**
+ * Minutes an appointment for the given order items takes, rounded up to
+ * whole slots. Services without a duration count as DEFAULT_SERVICE_MINUTES.
+ */
+function appointmentMinutes(items, schedule) {
+  const minutes = items
+    .filter((item) => item.serviceId)
+    .reduce((sum, item) => sum + (item.duration || DEFAULT_SERVICE_MINUTES), 0);
+  return Math.ceil(minutes / schedule.slotMinutes) * schedule.slotMinutes;
+}
+
+// Start times of the slots an appointment occupies
+function slotStarts(start, minutes, schedule) {
+  const starts = [];
+  for (let offset = 0; offset < minutes; offset += schedule.slotMinutes) {
+    starts.push(new Date(start.getTime() + offset * MINUTE));
+  }
+  return starts;
+}
+
+/**
+ * Throws a 422 HttpError unless an appointment starting at `start` and
+ * lasting `minutes` is in the future, starts on a slot boundary and fits
+ * in the store's opening hours.
+ */
+function assertWithinOpeningHours(start, minutes, schedule) {
+  const fail = (message) =>
+    new HttpError(422, message, [
+      { location: "body", field: "appointmentDate", message },
+    ]);
+
+  if (start.getTime() <= Date.now()) {
+    throw fail("appointmentDate must be in the future");
+  }
+
+  const local = localParts(start, schedule.timezone);
+
+  if ((schedule.closedDates || []).includes(local.date)) {
+    throw fail(`The store is closed on ${local.date}`);
+  }
+
+  const fits = schedule.openingHours.some((hours) => {
+    const open = toMinutes(hours.open);
+    return (
+      hours.day === local.weekday &&
+      local.minutes >= open &&
+      local.minutes + minutes <= toMinutes(hours.close) &&
+      (local.minutes - open) % schedule.slotMinutes === 0 &&
+      local.seconds === 0
+    );
+  });
+
+  if (!fits) {
+    throw fail("appointmentDate is not an available slot for this store");
+  }
+}
+
+/**
+ * Takes a seat in every slot the appointment covers. Slots the order
+ * already holds are kept, seats it holds outside the new time are given
+ * back. Throws a 409 HttpError if a slot is full, leaving the previous
+ * booking untouched. Pass `{ restore: true }` to put an order back into
+ * a slot it held before without checking opening hours again.
+ */
+async function bookAppointment(order, schedule, { restore = false } = {}) {
+  const minutes = appointmentMinutes(order.items, schedule);
+  const start = new Date(order.appointmentDate);
+  if (!restore) assertWithinOpeningHours(start, minutes, schedule);
+
+  const storeId = order.store._id;
+  const starts = slotStarts(start, minutes, schedule);
+  const held = await SlotBooking.find({ orderId: order._id }).lean();
+  const heldTimes = new Set(held.map((b) => b.slotStart.getTime()));
+  const created = [];
+
+  try {
+    for (const slotStart of starts) {
+      if (heldTimes.has(slotStart.getTime())) continue;
+
+      let booking = null;
+      for (let seat = 0; seat < schedule.capacity && !booking; seat++) {
+        try {
+          booking = await SlotBooking.create({
+            storeId,
+            slotStart,
+            seat,
+            orderId: order._id,
+          });
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+        }
+      }
+
+      if (!booking) {
+        throw new HttpError(409, "The selected time slot is fully booked", [
+          {
+            location: "body",
+            field: "appointmentDate",
+            message: `No capacity left at ${slotStart.toISOString()}`,
+          },
+        ]);
+      }
+      created.push(booking._id);
+    }
+  } catch (error) {
+    await SlotBooking.deleteMany({ _id: { $in: created } });
+    throw error;
+  }
+
+  const keep = new Set(starts.map((s) => s.getTime()));
+  await SlotBooking.deleteMany({
+    orderId: order._id,
+    slotStart: { $nin: [...keep].map((time) => new Date(time)) },
+  });
+
+  return new Date(start.getTime() + minutes * MINUTE);
+}
+
+function releaseAppointment(orderId) {
+  return SlotBooking.deleteMany({ orderId });
+}
+
+/**
+ * Lists the start times on a local `date` at which an appointment of
+ * `minutes` still fits in the store's opening hours and capacity.
+ */
+async function freeSlots(schedule, date, minutes) {
+  if ((schedule.closedDates || []).includes(date)) return [];
+
+  const dayStart = zonedTime(date, 0, schedule.timezone);
+  const dayEnd = zonedTime(date, 24 * 60, schedule.timezone);
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+
+  const bookings = await SlotBooking.aggregate([
+    {
+      $match: {
+        storeId: new mongoose.Types.ObjectId(String(schedule.storeId)),
+        slotStart: { $gte: dayStart, $lt: dayEnd },
+      },
+    },
+    { $group: { _id: "$slotStart", count: { $sum: 1 } } },
+  ]);
+  const taken = new Map(bookings.map((b) => [b._id.getTime(), b.count]));
+
+  const slots = [];
+  const now = Date.now();
+
+  for (const hours of schedule.openingHours) {
+    if (hours.day !== weekday) continue;
+
+    const close = toMinutes(hours.close);
+    for (
+      let time = toMinutes(hours.open);
+      time + minutes <= close;
+      time += schedule.slotMinutes
+    ) {
+      const start = zonedTime(date, time, schedule.timezone);
+      if (start.getTime() <= now) continue;
+
+      const free = slotStarts(start, minutes, schedule).every(
+        (slot) => (taken.get(slot.getTime()) || 0) < schedule.capacity
+      );
+      if (free) {
+        slots.push({
+          start,
+          end: new Date(start.getTime() + minutes * MINUTE),
+        });
+      }
+    }
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  getSchedule,
+  appointmentMinutes,
+  bookAppointment,
+  releaseAppointment,
+  freeSlots,
+};
@@ -0,0 +1,157 @@
+"use strict";
+
+const { default: axios } = require("axios");
+const { HttpError } = require("./httpError");
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 200;
+const BREAKER_THRESHOLD = 5;
+const BREAKER_COOLDOWN_MS = 30 * 1000;
+
+// Only these are retried; a retried PUT /stock would move stock twice
+const IDEMPOTENT_METHODS = ["get", "head", "options"];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isRetryable(error) {
+  if (!error.response) return true; // network error or timeout
+  return error.response.status >= 500;
+}
+
+// Message the downstream service put in its error body, if any
+function downstreamMessage(error) {
+  const data = error.response && error.response.data;
+  if (!data || typeof data !== "object") return undefined;
+  return data.message || data.msg || data.error;
+}
+
+/**
+ * Turns a failed downstream call into an HttpError the API can answer
+ * with: a missing entity becomes 422 (the request referenced something
+ * that doesn't exist), auth failures are passed through and outages
+ * become 503/504.
+ */
+function toHttpError(name, error, notFound) {
+  if (error instanceof HttpError) return error;
+
+  if (!error.response) {
+    if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+      return new HttpError(504, `The ${name} service timed out`);
+    }
+    return new HttpError(503, `The ${name} service is unavailable`);
+  }
+
+  const { status } = error.response;
+  if (status === 404) {
+    return new HttpError(422, notFound || `Not found in the ${name} service`);
+  }
+  if (status === 401) {
+    return new HttpError(401, `Not authorized by the ${name} service`);
+  }
+  if (status === 403) {
+    return new HttpError(403, `Forbidden by the ${name} service`);
+  }
+  if (status < 500) {
+    return new HttpError(
+      422,
+      downstreamMessage(error) || `Rejected by the ${name} service`
+    );
+  }
+  return new HttpError(503, `The ${name} service failed`);
+}
+
+/**
+ * Creates a client for one downstream service. The base URL is read from
+ * `<NAME>_URL`, falling back to http://<NAME>_URI:<port> as used by the
+ * Kubernetes deployment. Calls time out after SERVICE_TIMEOUT_MS,
+ * idempotent calls are retried with exponential backoff and a circuit
+ * breaker fails fast while the service keeps failing.
+ */
+function createServiceClient(name, { env, port }) {
+  // Open while openUntil is set; once it passes the breaker is half-open
+  // and a single probe call is let through to decide whether it closes
+  const breaker = { failures: 0, openUntil: 0, probing: false };
+
+  function baseURL() {
+    return (
+      process.env[`${env}_URL`] || `http://${process.env[`${env}_URI`]}:${port}`
+    );
+  }
+
+  function recordSuccess() {
+    breaker.failures = 0;
+    breaker.openUntil = 0;
+    breaker.probing = false;
+  }
+
+  function recordFailure() {
+    breaker.failures += 1;
+    breaker.probing = false;
+    if (breaker.failures >= BREAKER_THRESHOLD) {
+      breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    }
+  }
+
+  async function request(method, path, { token, data, notFound } = {}) {
+    // While open, fail fast; once the cooldown passes only one probe call
+    // gets through until it succeeds or fails
+    if (breaker.openUntil > 0) {
+      if (breaker.openUntil > Date.now() || breaker.probing) {
+        throw new HttpError(503, `The ${name} service is unavailable`);
+      }
+      breaker.probing = true;
+    }
+
+    const retries = IDEMPOTENT_METHODS.includes(method)
+      ? parseInt(process.env.SERVICE_RETRIES) || DEFAULT_RETRIES
+      : 0;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios.request({
+          method,
+          url: path,
+          baseURL: baseURL(),
+          data,
+          headers: token ? { Authorization: token } : {},
+          timeout:
+            parseInt(process.env.SERVICE_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+        });
+        recordSuccess();
+        return response.data;
+      } catch (error) {
+        if (!isRetryable(error)) {
+          // The service answered, it just didn't like the request
+          recordSuccess();
+          throw toHttpError(name, error, notFound);
+        }
+
+        recordFailure();
+        if (attempt >= retries || breaker.openUntil > Date.now()) {
+          throw toHttpError(name, error, notFound);
+        }
+
+        const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+        await sleep(delay + Math.random() * delay);
+      }
+    }
+  }
+
+  return {
+    name,
+    get: (path, options) => request("get", path, options),
+    put: (path, data, options) => request("put", path, { ...options, data }),
+    post: (path, data, options) => request("post", path, { ...options, data }),
+  };
+}
+
+module.exports = {
+  createServiceClient,
+  auth: createServiceClient("auth", { env: "AUTH", port: 8081 }),
+  products: createServiceClient("products", { env: "PRODUCTS", port: 8083 }),
+  services: createServiceClient("services", { env: "SERVICES", port: 8084 }),
+  stores: createServiceClient("stores", { env: "STORES", port: 8086 }),
+};
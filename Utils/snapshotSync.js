@@ -0,0 +1,183 @@
+"use strict";
+
+const Order = require("../Models/order");
+const { OPEN_STATUSES } = require("./orderStatus");
+const { invalidateLookup } = require("./catalog");
+const { toCents } = require("./money");
+const { inTransaction } = require("./events");
+const { diffOrders, recordAudit } = require("./audit");
+const { SYSTEM_ACTOR } = require("./orderTransitions");
+
+/**
+ * Keeps the client, store and item snapshots embedded in orders in line
+ * with the services that own them. Names, contact details and addresses
+ * are refreshed everywhere; prices are never rewritten, so finalized
+ * orders keep what was charged. Open orders whose items were repriced or
+ * discontinued, or whose store or client disappeared, get a flag instead.
+ */
+
+// Orders updated per transaction, so a change touching many orders stays
+// well within MongoDB's transaction time and size limits
+const BATCH_SIZE = 200;
+
+// Applies `update` to the orders matching `filter` and audits each order
+// it changed as a change made by the service. Orders are handled in
+// batches in _id order, each batch in its own transaction.
+async function updateOrders(filter, update, note, options = {}) {
+  let lastId = null;
+
+  for (;;) {
+    const batchFilter = lastId ? { ...filter, _id: { $gt: lastId } } : filter;
+    const done = await inTransaction(async (session) => {
+      const before = await Order.find(batchFilter)
+        .setOptions({ includeDeleted: true })
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE)
+        .session(session)
+        .lean();
+      if (before.length === 0) return true;
+
+      const ids = before.map((order) => order._id);
+      lastId = ids[ids.length - 1];
+      await Order.updateMany({ ...filter, _id: { $in: ids } }, update, {
+        ...options,
+        session,
+      });
+      const after = await Order.find({ _id: { $in: ids } })
+        .setOptions({ includeDeleted: true })
+        .session(session)
+        .lean();
+
+      for (const updated of after) {
+        const original = before.find((order) => order._id.equals(updated._id));
+        if (diffOrders(original, updated).length === 0) continue;
+        await recordAudit(
+          "updated",
+          { before: original, after: updated, actor: SYSTEM_ACTOR, note },
+          session
+        );
+      }
+      return before.length < BATCH_SIZE;
+    });
+    if (done) return;
+  }
+}
+
+// Adds a flag to open orders matching `filter` unless an unresolved flag
+// of the same kind is already there, so redelivered events are harmless.
+function flagOpenOrders(filter, flag) {
+  const same = { type: flag.type, resolvedAt: null };
+  if (flag.productId) same.productId = flag.productId;
+  if (flag.serviceId) same.serviceId = flag.serviceId;
+
+  return updateOrders(
+    {
+      ...filter,
+      status: { $in: OPEN_STATUSES },
+      flags: { $not: { $elemMatch: same } },
+    },
+    { $push: { flags: { ...flag, raisedAt: new Date() } } },
+    `Flagged ${flag.type}`
+  );
+}
+
+async function itemUpdated(kind, item) {
+  const idField = `${kind}Id`;
+  const id = item._id;
+
+  if (item.name) {
+    await updateOrders(
+      { [`items.${idField}`]: id },
+      { $set: { "items.$[item].name": item.name } },
+      `The ${kind} was renamed`,
+      { arrayFilters: [{ [`item.${idField}`]: id }] }
+    );
+  }
+
+  // Catalogue prices are in major units, order prices in cents
+  if (typeof item.price === "number") {
+    const price = toCents(item.price);
+    await flagOpenOrders(
+      { items: { $elemMatch: { [idField]: id, price: { $ne: price } } } },
+      { type: "item_repriced", [idField]: id, currentPrice: price }
+    );
+  }
+}
+
+function itemDeleted(kind, item) {
+  const idField = `${kind}Id`;
+  return flagOpenOrders(
+    { [`items.${idField}`]: item._id },
+    { type: "item_discontinued", [idField]: item._id }
+  );
+}
+
+async function storeUpdated(store) {
+  const changes = {};
+  if (store.name) changes["store.name"] = store.name;
+  if (store.address) changes["store.address"] = store.address;
+  if (Object.keys(changes).length === 0) return;
+
+  await updateOrders(
+    { "store._id": store._id },
+    { $set: changes },
+    "Store details synced"
+  );
+}
+
+function storeDeleted(store) {
+  return flagOpenOrders({ "store._id": store._id }, { type: "store_closed" });
+}
+
+async function clientUpdated(client) {
+  const changes = {};
+  for (const field of ["name", "email", "phone"]) {
+    if (client[field]) changes[`client.${field}`] = client[field];
+  }
+  if (Object.keys(changes).length === 0) return;
+
+  await updateOrders(
+    { "client._id": client._id },
+    { $set: changes },
+    "Client details synced"
+  );
+}
+
+function clientDeleted(client) {
+  return flagOpenOrders(
+    { "client._id": client._id },
+    { type: "client_deleted" }
+  );
+}
+
+// Wraps a handler so cached lookups of the changed entity are dropped too
+function withInvalidation(kind, handler) {
+  return async (data) => {
+    await invalidateLookup(kind, data._id);
+    await handler(data);
+  };
+}
+
+// Handlers by routing key of the upstream events
+const HANDLERS = {
+  "product.updated": withInvalidation("product", (data) =>
+    itemUpdated("product", data)
+  ),
+  "product.deleted": withInvalidation("product", (data) =>
+    itemDeleted("product", data)
+  ),
+  "service.updated": withInvalidation("service", (data) =>
+    itemUpdated("service", data)
+  ),
+  "service.deleted": withInvalidation("service", (data) =>
+    itemDeleted("service", data)
+  ),
+  "store.updated": withInvalidation("store", storeUpdated),
+  "store.deleted": withInvalidation("store", storeDeleted),
+  "client.updated": withInvalidation("client", clientUpdated),
+  "client.deleted": withInvalidation("client", clientDeleted),
+};
+
+module.exports = {
+  HANDLERS,
+};
@@ -0,0 +1,113 @@
+"use strict";
+
+const downstream = require("./serviceClient");
+
+/**
+ * Sums product quantities by productId. Service items don't hold stock and
+ * are ignored.
+ */
+function quantitiesByProduct(items = []) {
+  const quantities = {};
+  for (const item of items) {
+    if (!item.productId) continue;
+    const key = String(item.productId);
+    quantities[key] = (quantities[key] || 0) + (item.quantity || 0);
+  }
+  return quantities;
+}
+
+/**
+ * Applies a stock movement for a product through the products service. A
+ * positive quantity takes units out of stock, a negative one puts them back.
+ */
+async function moveStock(productId, quantity, token) {
+  return downstream.products.put(
+    `/stock/${productId}`,
+    { newQuantity: quantity },
+    { token, notFound: `Product ${productId} not found` }
+  );
+}
+
+/**
+ * Applies a set of stock movements ({ productId: quantity }). If one of them
+ * fails, the movements already applied are reverted before rethrowing so the
+ * products service is left as it was.
+ */
+async function applyMovements(movements, token) {
+  const applied = [];
+  const results = [];
+
+  try {
+    for (const [productId, quantity] of Object.entries(movements)) {
+      if (!quantity) continue;
+      results.push(await moveStock(productId, quantity, token));
+      applied.push([productId, quantity]);
+    }
+  } catch (error) {
+    for (const [productId, quantity] of applied) {
+      try {
+        await moveStock(productId, -quantity, token);
+      } catch (revertError) {
+        console.error(
+          `Failed to revert stock movement for product ${productId}:`,
+          revertError.message
+        );
+      }
+    }
+    throw error;
+  }
+
+  return results;
+}
+
+/**
+ * Applies stock movements one product at a time without reverting them on
+ * failure, calling `onMoved(productId, quantity)` after each so the caller
+ * can record how far it got and undo exactly that later.
+ */
+async function applyMovementsEach(movements, token, onMoved) {
+  for (const [productId, quantity] of Object.entries(movements)) {
+    if (!quantity) continue;
+    await moveStock(productId, quantity, token);
+    await onMoved(productId, quantity);
+  }
+}
+
+// Takes the product quantities of an order out of stock.
+function reserveStock(items, token) {
+  return applyMovements(quantitiesByProduct(items), token);
+}
+
+// Puts the product quantities of an order back into stock.
+function releaseStock(items, token) {
+  const movements = quantitiesByProduct(items);
+  for (const productId of Object.keys(movements)) {
+    movements[productId] = -movements[productId];
+  }
+  return applyMovements(movements, token);
+}
+
+// Moves only the difference between the previous and the new item list.
+function adjustStock(previousItems, items, token) {
+  const previous = quantitiesByProduct(previousItems);
+  const current = quantitiesByProduct(items);
+  const movements = {};
+
+  for (const productId of new Set([
+    ...Object.keys(previous),
+    ...Object.keys(current),
+  ])) {
+    movements[productId] =
+      (current[productId] || 0) - (previous[productId] || 0);
+  }
+
+  return applyMovements(movements, token);
+}
+
+module.exports = {
+  quantitiesByProduct,
+  applyMovementsEach,
+  reserveStock,
+  releaseStock,
+  adjustStock,
+};
@@ -0,0 +1,308 @@
+"use strict";
+
+const crypto = require("crypto");
+const dns = require("dns");
+const https = require("https");
+const net = require("net");
+const { promisify } = require("util");
+const { default: axios } = require("axios");
+const WebhookSubscription = require("../Models/webhookSubscription");
+const WebhookDelivery = require("../Models/webhookDelivery");
+const { EVENTS } = require("./events");
+const { HttpError } = require("./httpError");
+const { sign } = require("./paymentProviders/webhookSignature");
+
+// Order events stores can subscribe to
+const WEBHOOK_EVENTS = [
+  EVENTS.ORDER_CREATED,
+  EVENTS.ORDER_UPDATED,
+  EVENTS.ORDER_STATUS_CHANGED,
+];
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BACKOFF_MS = 30 * 1000;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const LOCK_MS = 60 * 1000;
+const BATCH_SIZE = 50;
+
+// Webhooks may not point inside our own network: loopback, private and
+// link-local ranges (cloud metadata lives at 169.254.169.254), carrier-grade
+// NAT, which cluster networks often use, and other non-public ranges.
+const BLOCKED_SUBNETS = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.0.0.0", 24, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["198.18.0.0", 15, "ipv4"],
+  ["224.0.0.0", 3, "ipv4"],
+  ["::", 128, "ipv6"],
+  ["::1", 128, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+  ["ff00::", 8, "ipv6"],
+];
+
+// Also matches IPv4-mapped IPv6 addresses such as ::ffff:127.0.0.1
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_SUBNETS) {
+  blockedAddresses.addSubnet(address, prefix, type);
+}
+
+let timer = null;
+let flushing = null;
+
+function maxAttempts() {
+  return parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+}
+
+// Wait before the next attempt, doubling each time: 30s, 1m, 2m, 4m, ...
+function backoff(attempts) {
+  const base = parseInt(process.env.WEBHOOK_BACKOFF_MS) || DEFAULT_BACKOFF_MS;
+  return base * 2 ** (attempts - 1);
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+function isBlockedAddress({ address, family }) {
+  return blockedAddresses.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * dns.lookup that fails when the host resolves to a blocked address. It's
+ * also the lookup deliveries connect with, so a host can't pass the check
+ * and then resolve somewhere else.
+ */
+function lookupPublic(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(isBlockedAddress);
+    if (blocked) {
+      return callback(
+        new Error(`${hostname} resolves to a non-public address`)
+      );
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpsAgent = new https.Agent({ lookup: lookupPublic });
+
+/**
+ * Checks that a webhook URL uses https and its host resolves only to
+ * public addresses. Runs when a webhook is saved and before each delivery.
+ */
+async function assertPublicUrl(url) {
+  const fail = (message) =>
+    new HttpError(400, "Webhook URL not allowed", [
+      { location: "body", field: "url", message },
+    ]);
+
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== "https:") throw fail("The URL must use https");
+  try {
+    // IP literals don't go through the agent's lookup, they're checked here
+    await promisify(lookupPublic)(hostname.replace(/^\[|\]$/g, ""), {});
+  } catch (error) {
+    throw fail(error.message);
+  }
+}
+
+// insertMany with ordered: false reports every duplicate it skipped
+function onlyDuplicates(error) {
+  return (error.writeErrors || [error]).every((e) => e.code === 11000);
+}
+
+/**
+ * Queues an order event for every active webhook of the order's store
+ * subscribed to its type. An event is only queued once per webhook, so
+ * redelivered events are ignored. Returns whether anything was queued.
+ */
+async function enqueueDeliveries(event) {
+  const { order } = event.data;
+  const subscriptions = await WebhookSubscription.find({
+    storeId: order.store._id,
+    active: true,
+    events: event.type,
+  });
+  if (subscriptions.length === 0) return false;
+
+  try {
+    await WebhookDelivery.insertMany(
+      subscriptions.map((subscription) => ({
+        subscriptionId: subscription._id,
+        storeId: subscription.storeId,
+        eventId: event.id,
+        eventType: event.type,
+        payload: event,
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    if (!onlyDuplicates(error)) throw error;
+  }
+  return true;
+}
+
+// POSTs the payload signed with the webhook's secret. Returns the response
+// status and, when it wasn't a 2xx, the error. Redirects aren't followed.
+async function post(subscription, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  try {
+    await assertPublicUrl(subscription.url);
+    const response = await axios.post(subscription.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "Orders-Event": delivery.eventType,
+        "Orders-Delivery": String(delivery._id),
+        "Orders-Signature": sign(body, subscription.secret),
+      },
+      timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+      maxRedirects: 0,
+      httpsAgent,
+    });
+    return { responseStatus: response.status };
+  } catch (error) {
+    return {
+      responseStatus: error.response && error.response.status,
+      error: error.response
+        ? `Responded with ${error.response.status}`
+        : error.errors
+        ? error.errors[0].message
+        : error.message,
+    };
+  }
+}
+
+/**
+ * Makes one attempt at sending a delivery and records it. A failed
+ * delivery is scheduled again with exponential backoff until
+ * WEBHOOK_MAX_ATTEMPTS is reached; with `retry` false it's marked failed
+ * straight away.
+ */
+async function attemptDelivery(delivery, { retry = true } = {}) {
+  const subscription = await WebhookSubscription.findById(
+    delivery.subscriptionId
+  ).select("+secret");
+
+  const startedAt = Date.now();
+  const result =
+    subscription && subscription.active
+      ? await post(subscription, delivery)
+      : { error: "The webhook was removed or disabled" };
+
+  delivery.attempts += 1;
+  delivery.attemptLog.push({
+    at: new Date(startedAt),
+    url: subscription ? subscription.url : undefined,
+    responseStatus: result.responseStatus,
+    error: result.error,
+    durationMs: Date.now() - startedAt,
+  });
+  delivery.lockedUntil = undefined;
+
+  if (!result.error) {
+    delivery.set({
+      status: "succeeded",
+      deliveredAt: new Date(),
+      lastError: undefined,
+    });
+  } else if (retry && subscription && delivery.attempts < maxAttempts()) {
+    delivery.set({
+      status: "pending",
+      lastError: result.error,
+      nextAttemptAt: new Date(Date.now() + backoff(delivery.attempts)),
+    });
+  } else {
+    delivery.set({ status: "failed", lastError: result.error });
+  }
+
+  await delivery.save();
+  return delivery;
+}
+
+// Takes a delivery unless a dispatcher is sending it right now.
+function lock(filter) {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Sends a delivery again right away, e.g. once the store fixed its
+ * endpoint. Only this one attempt is made; a pending delivery keeps its
+ * retry schedule if it fails.
+ */
+async function redeliver(delivery) {
+  const locked = await lock({ _id: delivery._id });
+  if (!locked) {
+    throw new HttpError(409, "The delivery is being sent right now");
+  }
+  return attemptDelivery(locked, { retry: locked.status === "pending" });
+}
+
+// Sends the deliveries that are due until none are left.
+async function flushDeliveries() {
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const delivery = await lock({
+      status: "pending",
+      nextAttemptAt: { $lte: new Date() },
+    });
+    if (!delivery) return;
+    await attemptDelivery(delivery);
+  }
+}
+
+// Runs a flush unless one is already in progress.
+function flush() {
+  if (!flushing) {
+    flushing = flushDeliveries()
+      .catch((error) =>
+        console.error("Error delivering webhooks:", error.message)
+      )
+      .finally(() => {
+        flushing = null;
+      });
+  }
+  return flushing;
+}
+
+/**
+ * Sends due webhook deliveries every WEBHOOK_POLL_INTERVAL_MS and
+ * whenever new ones are queued.
+ */
+function startWebhookDispatcher() {
+  const interval =
+    parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+  timer = setInterval(flush, interval);
+  flush();
+}
+
+async function stopWebhookDispatcher() {
+  clearInterval(timer);
+  if (flushing) await flushing;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  assertPublicUrl,
+  enqueueDeliveries,
+  redeliver,
+  flush,
+  startWebhookDispatcher,
+  stopWebhookDispatcher,
+};
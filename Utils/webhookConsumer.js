@@ -0,0 +1,88 @@
+"use strict";
+
+const amqp = require("amqplib");
+const {
+  brokerUrl,
+  assertQueueWithDeadLetter,
+  rejectMessage,
+} = require("./broker");
+const { WEBHOOK_EVENTS, enqueueDeliveries, flush } = require("./storeWebhooks");
+
+const DEFAULT_EXCHANGE = "orders.events";
+const DEFAULT_QUEUE = "orders.webhooks";
+const RECONNECT_DELAY_MS = 5000;
+const PREFETCH = 10;
+
+let connection = null;
+let stopped = false;
+
+async function handle(channel, msg) {
+  const routingKey = msg.fields.routingKey;
+
+  try {
+    if (WEBHOOK_EVENTS.includes(routingKey)) {
+      const queued = await enqueueDeliveries(
+        JSON.parse(msg.content.toString())
+      );
+      if (queued) flush();
+    }
+    channel.ack(msg);
+  } catch (error) {
+    console.error(`Error queueing webhooks for ${routingKey}:`, error.message);
+    rejectMessage(channel, msg);
+  }
+}
+
+async function connect() {
+  connection = await amqp.connect(brokerUrl());
+  connection.on("error", (err) => console.error("AMQP error:", err.message));
+  connection.on("close", () => {
+    connection = null;
+    if (!stopped) setTimeout(start, RECONNECT_DELAY_MS);
+  });
+
+  const channel = await connection.createChannel();
+  const exchange = process.env.EVENTS_EXCHANGE || DEFAULT_EXCHANGE;
+  const queue = process.env.WEBHOOKS_QUEUE || DEFAULT_QUEUE;
+  await channel.assertExchange(exchange, "topic", { durable: true });
+  await assertQueueWithDeadLetter(channel, queue);
+  await channel.prefetch(PREFETCH);
+
+  for (const routingKey of WEBHOOK_EVENTS) {
+    await channel.bindQueue(queue, exchange, routingKey);
+  }
+
+  await channel.consume(queue, (msg) => msg && handle(channel, msg));
+}
+
+function start() {
+  connect().catch((error) => {
+    console.error("Error starting webhook consumer:", error.message);
+    if (connection) connection.close().catch(() => {});
+    else if (!stopped) setTimeout(start, RECONNECT_DELAY_MS);
+  });
+}
+
+/**
+ * Queues store webhook deliveries for the order events this service
+ * publishes, consuming them from the broker at LOGS_URI. Reconnects when
+ * the broker goes away.
+ */
+function startWebhookConsumer() {
+  if (!brokerUrl()) {
+    console.warn("LOGS_URI is not set, store webhooks won't be sent.");
+    return;
+  }
+  stopped = false;
+  start();
+}
+
+async function stopWebhookConsumer() {
+  stopped = true;
+  if (connection) await connection.close();
+}
+
+module.exports = {
+  startWebhookConsumer,
+  stopWebhookConsumer,
+};
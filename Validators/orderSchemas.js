@@ -0,0 +1,551 @@
+"use strict";
+
+const Joi = require("joi");
+const mongoose = require("mongoose");
+const { STATUSES } = require("../Utils/orderStatus");
+const { MAX_PAGE_SIZE, SORTABLE_FIELDS } = require("../Utils/orderQuery");
+const { PAYMENT_METHODS } = require("../Utils/paymentMethods");
+const { LOCALES } = require("../Utils/notificationTemplates");
+const { WEBHOOK_EVENTS } = require("../Utils/storeWebhooks");
+
+const objectId = Joi.string().custom((value, helpers) =>
+  mongoose.Types.ObjectId.isValid(value)
+    ? value
+    : helpers.message("{{#label}} must be a valid id")
+);
+
+const statusList = Joi.string().pattern(
+  new RegExp(`^(${STATUSES.join("|")})(,(${STATUSES.join("|")}))*$`),
+  "comma-separated list of statuses"
+);
+
+const sortList = Joi.string().pattern(
+  new RegExp(
+    `^[-+]?(${SORTABLE_FIELDS.join("|")})(,[-+]?(${SORTABLE_FIELDS.join(
+      "|"
+    )}))*$`
+  ),
+  "comma-separated list of sort fields"
+);
+
+// `schema`, no lower than the sibling field when that one is given too.
+// A bare Joi.ref fails validation whenever the sibling is missing.
+function atLeast(sibling, schema) {
+  return Joi.when(sibling, {
+    is: Joi.exist(),
+    then: schema.min(Joi.ref(sibling)),
+    otherwise: schema,
+  });
+}
+
+const timezone = Joi.string()
+  .max(64)
+  .custom((value, helpers) => {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: value });
+      return value;
+    } catch (error) {
+      return helpers.message("{{#label}} must be a valid IANA timezone");
+    }
+  });
+
+const cursorPagination = {
+  pagination: Joi.string().valid("offset", "cursor"),
+  cursor: Joi.string().max(512),
+  includeTotal: Joi.boolean(),
+};
+
+// Filters shared by GET /order and GET /order/export
+const orderFilters = {
+  status: statusList,
+  storeId: objectId,
+  clientId: objectId,
+  paymentType: Joi.string().trim(),
+  productId: objectId,
+  serviceId: objectId,
+  createdFrom: Joi.date().iso(),
+  createdTo: atLeast("createdFrom", Joi.date().iso()),
+  appointmentFrom: Joi.date().iso(),
+  appointmentTo: atLeast("appointmentFrom", Joi.date().iso()),
+  minTotal: Joi.number().min(0),
+  maxTotal: atLeast("minTotal", Joi.number()),
+  q: Joi.string().trim().max(100),
+  flagged: Joi.boolean(),
+  sort: sortList,
+  includeDeleted: Joi.boolean(),
+};
+
+const productOrServiceItem = Joi.object({
+  productId: objectId,
+  serviceId: objectId,
+  quantity: Joi.number().integer().min(1).when("productId", {
+    is: Joi.exist(),
+    then: Joi.required(),
+  }),
+}).xor("productId", "serviceId");
+
+const serviceItem = Joi.object({
+  serviceId: objectId.required(),
+});
+
+const paymentMethod = Joi.string()
+  .trim()
+  .valid(...PAYMENT_METHODS);
+
+const paymentParams = Joi.object({
+  paymentId: objectId.required(),
+});
+
+const webhookParams = Joi.object({
+  webhookId: objectId.required(),
+});
+
+// Fields a store webhook can be created or updated with
+const webhookFields = {
+  url: Joi.string()
+    .uri({ scheme: ["https"] })
+    .max(2048),
+  events: Joi.array()
+    .items(Joi.string().valid(...WEBHOOK_EVENTS))
+    .min(1)
+    .unique(),
+  active: Joi.boolean(),
+};
+
+const idParams = Joi.object({
+  id: objectId.required(),
+});
+
+const storeParams = Joi.object({
+  storeId: objectId.required(),
+});
+
+const time = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/, "HH:MM");
+
+const orderDetails = {
+  clientId: objectId.required(),
+  storeId: objectId.required(),
+  paymentType: paymentMethod.required(),
+  appointmentDate: Joi.date().iso(),
+  location: Joi.string().trim(),
+  couponCode: Joi.string().trim().max(64),
+};
+
+const discountTerms = {
+  type: Joi.string().valid("percentage", "fixed"),
+  value: Joi.number()
+    .min(0)
+    .when("type", { is: "percentage", then: Joi.number().max(100) }),
+  startsAt: Joi.date().iso().allow(null),
+  storeIds: Joi.array().items(objectId),
+  active: Joi.boolean(),
+};
+
+const couponFields = {
+  ...discountTerms,
+  description: Joi.string().trim().max(500),
+  expiresAt: Joi.date().iso().allow(null),
+  maxUses: Joi.number().integer().min(1).allow(null),
+  perClientLimit: Joi.number().integer().min(1).allow(null),
+  minSubtotal: Joi.number().min(0).allow(null),
+};
+
+const promotionFields = {
+  ...discountTerms,
+  name: Joi.string().trim().max(200),
+  endsAt: Joi.date().iso().allow(null),
+  productIds: Joi.array().items(objectId),
+  serviceIds: Joi.array().items(objectId),
+  categories: Joi.array().items(Joi.string().trim().max(100)),
+};
+
+const statsRange = {
+  from: Joi.date().iso(),
+  to: atLeast("from", Joi.date().iso()),
+  storeId: objectId,
+};
+
+module.exports = {
+  createOrder: {
+    body: Joi.object({
+      ...orderDetails,
+      items: Joi.array().items(productOrServiceItem).min(1).required(),
+    }).options({ stripUnknown: true }),
+  },
+
+  createOrderService: {
+    body: Joi.object({
+      ...orderDetails,
+      items: Joi.array().items(serviceItem).min(1).required(),
+    }).options({ stripUnknown: true }),
+  },
+
+  editOrder: {
+    params: idParams,
+    body: Joi.object({
+      items: Joi.array().items(productOrServiceItem).min(1),
+      paymentType: paymentMethod,
+      location: Joi.string().trim(),
+    }).min(1),
+  },
+
+  updateOrderStatus: {
+    params: idParams,
+    body: Joi.object({
+      status: Joi.string()
+        .valid(...STATUSES)
+        .required(),
+      note: Joi.string().trim().max(500),
+    }),
+  },
+
+  removeOrder: {
+    params: idParams,
+  },
+
+  cancelOrder: {
+    params: idParams,
+    body: Joi.object({
+      reason: Joi.string().trim().max(500),
+    }),
+  },
+
+  requestReturn: {
+    params: idParams,
+    body: Joi.object({
+      items: Joi.array()
+        .items(
+          Joi.object({
+            productId: objectId.required(),
+            quantity: Joi.number().integer().min(1).required(),
+            reason: Joi.string().trim().max(500).required(),
+          })
+        )
+        .min(1)
+        .required(),
+    }),
+  },
+
+  readOrderReturns: {
+    params: idParams,
+  },
+
+  readReturns: {
+    query: Joi.object({
+      status: Joi.string().valid("requested", "approved", "rejected"),
+      limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE),
+      cursor: Joi.string().max(512),
+    }),
+  },
+
+  decideReturn: {
+    params: Joi.object({
+      returnId: objectId.required(),
+    }),
+    body: Joi.object({
+      note: Joi.string().trim().max(500),
+    }),
+  },
+
+  readOrder: {
+    params: idParams,
+    query: Joi.object({
+      includeDeleted: Joi.boolean(),
+    }),
+  },
+
+  restoreOrder: {
+    params: idParams,
+  },
+
+  readOrderAudit: {
+    params: idParams,
+    query: Joi.object({
+      limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE),
+      cursor: Joi.string().max(512),
+    }),
+  },
+
+  readNotificationPreferences: {
+    params: Joi.object({
+      clientId: objectId.required(),
+    }),
+  },
+
+  updateNotificationPreferences: {
+    params: Joi.object({
+      clientId: objectId.required(),
+    }),
+    body: Joi.object({
+      email: Joi.boolean(),
+      sms: Joi.boolean(),
+      locale: Joi.string().valid(...LOCALES),
+    }).min(1),
+  },
+
+  readOrderNotifications: {
+    params: idParams,
+  },
+
+  createWebhook: {
+    body: Joi.object({
+      storeId: objectId.required(),
+      url: webhookFields.url.required(),
+      events: webhookFields.events.required(),
+      active: webhookFields.active,
+    }),
+  },
+
+  readWebhooks: {
+    query: Joi.object({
+      storeId: objectId,
+    }),
+  },
+
+  updateWebhook: {
+    params: webhookParams,
+    body: Joi.object(webhookFields).min(1),
+  },
+
+  removeWebhook: {
+    params: webhookParams,
+  },
+
+  readWebhookDeliveries: {
+    params: webhookParams,
+    query: Joi.object({
+      status: Joi.string().valid("pending", "succeeded", "failed"),
+      limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE),
+      cursor: Joi.string().max(512),
+    }),
+  },
+
+  redeliverWebhook: {
+    params: Joi.object({
+      deliveryId: objectId.required(),
+    }),
+  },
+
+  readOrderByNumber: {
+    params: Joi.object({
+      orderNumber: Joi.string().trim().max(64).required(),
+    }),
+    query: Joi.object({
+      includeDeleted: Joi.boolean(),
+    }),
+  },
+
+  readOrders: {
+    query: Joi.object({
+      page: Joi.number().integer().min(1),
+      limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE),
+      ...orderFilters,
+      ...cursorPagination,
+    }),
+  },
+
+  readClientOrders: {
+    params: Joi.object({
+      clientId: objectId.required(),
+    }),
+    query: Joi.object({
+      status: statusList,
+      limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE),
+      sort: Joi.string().valid("createdAt", "+createdAt", "-createdAt"),
+      includeDeleted: Joi.boolean(),
+      ...cursorPagination,
+    }),
+  },
+
+  exportOrders: {
+    query: Joi.object({
+      ...orderFilters,
+      format: Joi.string().valid("csv", "xlsx").default("csv"),
+    }),
+  },
+
+  readOrderInvoice: {
+    params: idParams,
+    query: Joi.object({
+      includeDeleted: Joi.boolean(),
+    }),
+  },
+
+  rescheduleOrder: {
+    params: idParams,
+    body: Joi.object({
+      appointmentDate: Joi.date().iso().required(),
+      location: Joi.string().trim(),
+    }),
+  },
+
+  readFreeSlots: {
+    query: Joi.object({
+      storeId: objectId.required(),
+      serviceId: Joi.string()
+        .pattern(/^[0-9a-fA-F]{24}(,[0-9a-fA-F]{24})*$/, "list of ids")
+        .required(),
+      date: Joi.string()
+        .pattern(/^\d{4}-\d{2}-\d{2}$/, "YYYY-MM-DD")
+        .required(),
+    }),
+  },
+
+  readStoreSchedule: {
+    params: storeParams,
+  },
+
+  updateStoreSchedule: {
+    params: storeParams,
+    body: Joi.object({
+      timezone,
+      slotMinutes: Joi.number()
+        .integer()
+        .min(5)
+        .max(24 * 60),
+      capacity: Joi.number().integer().min(1),
+      openingHours: Joi.array().items(
+        Joi.object({
+          day: Joi.number().integer().min(0).max(6).required(),
+          open: time.required(),
+          close: time.required(),
+        })
+      ),
+      closedDates: Joi.array().items(
+        Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/, "YYYY-MM-DD")
+      ),
+    }).min(1),
+  },
+
+  readOrderStats: {
+    query: Joi.object({
+      ...statsRange,
+      groupBy: Joi.string().valid(
+        "day",
+        "week",
+        "month",
+        "store",
+        "paymentType",
+        "product",
+        "service"
+      ),
+      timezone,
+    }),
+  },
+
+  readTopItems: {
+    query: Joi.object({
+      ...statsRange,
+      type: Joi.string().valid("product", "service", "all"),
+      sortBy: Joi.string().valid("revenue", "quantity"),
+      limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE),
+    }),
+  },
+
+  readTopClients: {
+    query: Joi.object({
+      ...statsRange,
+      limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE),
+    }),
+  },
+
+  createPayment: {
+    params: idParams,
+    body: Joi.object({
+      method: paymentMethod,
+    }),
+  },
+
+  readOrderPayments: {
+    params: idParams,
+  },
+
+  capturePayment: {
+    params: paymentParams,
+  },
+
+  voidPayment: {
+    params: paymentParams,
+  },
+
+  refundPayment: {
+    params: paymentParams,
+    body: Joi.object({
+      amount: Joi.number().positive().precision(2),
+      reason: Joi.string().trim().max(500),
+    }),
+  },
+
+  simulatePayment: {
+    params: paymentParams,
+    body: Joi.object({
+      outcome: Joi.string()
+        .valid("authorized", "captured", "failed")
+        .required(),
+      reason: Joi.string().trim().max(500),
+    }),
+  },
+
+  readCoupons: {
+    query: Joi.object({
+      active: Joi.boolean(),
+    }),
+  },
+
+  createCoupon: {
+    body: Joi.object({
+      ...couponFields,
+      code: Joi.string()
+        .trim()
+        .pattern(/^[A-Za-z0-9_-]+$/, "letters, digits, - and _")
+        .max(64)
+        .required(),
+      type: discountTerms.type.required(),
+      value: discountTerms.value.required(),
+    }),
+  },
+
+  updateCoupon: {
+    params: Joi.object({
+      couponId: objectId.required(),
+    }),
+    body: Joi.object(couponFields).min(1),
+  },
+
+  readPromotions: {
+    query: Joi.object({
+      active: Joi.boolean(),
+    }),
+  },
+
+  createPromotion: {
+    body: Joi.object({
+      ...promotionFields,
+      name: promotionFields.name.required(),
+      type: discountTerms.type.required(),
+      value: discountTerms.value.required(),
+    }),
+  },
+
+  updatePromotion: {
+    params: Joi.object({
+      promotionId: objectId.required(),
+    }),
+    body: Joi.object(promotionFields).min(1),
+  },
+
+  updateTaxRate: {
+    params: Joi.object({
+      category: Joi.string().trim().max(100).required(),
+    }),
+    body: Joi.object({
+      rate: Joi.number().min(0).max(1).required(),
+    }),
+  },
+
+  removeTaxRate: {
+    params: Joi.object({
+      category: Joi.string().trim().max(100).required(),
+    }),
+  },
+};
@@ -0,0 +1,170 @@
+"use strict";
+
+/**
+ * Converts orders stored before amounts were kept in cents: every amount
+ * of the order, and of its payments, is turned from major units into
+ * integer cents and the order gets a currency. The fixed amounts of
+ * coupons and promotions are converted the same way. Documents that
+ * already have a currency are skipped, so the script can be run again
+ * after a failure.
+ *
+ * Run it with the service stopped, against the database in MONGODB_URI:
+ *
+ *   node scripts/migrateMoneyToCents.js [--dry-run]
+ */
+
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const { defaultCurrency, toCents } = require("../Utils/money");
+
+const ORDER_AMOUNTS = ["subtotal", "discount", "tax", "total", "amountPaid"];
+const ITEM_AMOUNTS = ["price", "subtotal", "discount", "tax", "total"];
+
+function convert(target, fields) {
+  const changes = {};
+  for (const field of fields) {
+    if (typeof target[field] === "number") {
+      changes[field] = toCents(target[field]);
+    }
+  }
+  return { ...target, ...changes };
+}
+
+function orderChanges(order) {
+  const changes = { currency: defaultCurrency() };
+
+  for (const field of ORDER_AMOUNTS) {
+    if (typeof order[field] === "number")
+      changes[field] = toCents(order[field]);
+  }
+  if (order.items) {
+    changes.items = order.items.map((item) => convert(item, ITEM_AMOUNTS));
+  }
+  if (order.coupon) {
+    const fields =
+      order.coupon.type === "fixed" ? ["value", "amount"] : ["amount"];
+    changes.coupon = convert(order.coupon, fields);
+  }
+  if (order.promotions) {
+    changes.promotions = order.promotions.map((promotion) =>
+      convert(promotion, ["amount"])
+    );
+  }
+  if (order.flags) {
+    changes.flags = order.flags.map((flag) => convert(flag, ["currentPrice"]));
+  }
+
+  return changes;
+}
+
+function paymentChanges(payment) {
+  const changes = convert(payment, ["amount", "amountRefunded"]);
+  return {
+    amount: changes.amount,
+    amountRefunded: changes.amountRefunded,
+    refunds: (payment.refunds || []).map((refund) =>
+      convert(refund, ["amount"])
+    ),
+  };
+}
+
+function couponChanges(coupon) {
+  const fields =
+    coupon.type === "fixed" ? ["value", "minSubtotal"] : ["minSubtotal"];
+  const changes = convert(coupon, fields);
+  return {
+    currency: defaultCurrency(),
+    value: changes.value,
+    ...(changes.minSubtotal !== undefined && {
+      minSubtotal: changes.minSubtotal,
+    }),
+  };
+}
+
+function promotionChanges(promotion) {
+  const fields = promotion.type === "fixed" ? ["value"] : [];
+  return {
+    currency: defaultCurrency(),
+    value: convert(promotion, fields).value,
+  };
+}
+
+// Converts every document of a collection that has no currency yet, one
+// at a time.
+async function migrateCollection(name, changes, { dryRun }) {
+  const collection = mongoose.connection.collection(name);
+  const filter = { currency: { $exists: false } };
+
+  const pending = await collection.countDocuments(filter);
+  console.log(`${pending} ${name} document(s) to convert.`);
+  if (dryRun || pending === 0) return;
+
+  let converted = 0;
+  for await (const doc of collection.find(filter)) {
+    const { modifiedCount } = await collection.updateOne(
+      { _id: doc._id, ...filter },
+      { $set: changes(doc) }
+    );
+    converted += modifiedCount;
+  }
+  console.log(`Converted ${converted} ${name} document(s).`);
+}
+
+async function migrateOrders({ dryRun }) {
+  const orders = mongoose.connection.collection("orders");
+  const payments = mongoose.connection.collection("payments");
+  const filter = { currency: { $exists: false } };
+
+  const pending = await orders.countDocuments(filter);
+  console.log(`${pending} order(s) to convert.`);
+  if (dryRun || pending === 0) return;
+
+  let converted = 0;
+  for await (const order of orders.find(filter)) {
+    // An order and its payments are converted together or not at all
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const { modifiedCount } = await orders.updateOne(
+          { _id: order._id, ...filter },
+          { $set: orderChanges(order) },
+          { session }
+        );
+        if (modifiedCount === 0) return;
+
+        const orderPayments = await payments
+          .find({ orderId: order._id }, { session })
+          .toArray();
+        for (const payment of orderPayments) {
+          await payments.updateOne(
+            { _id: payment._id },
+            { $set: paymentChanges(payment) },
+            { session }
+          );
+        }
+        converted++;
+      });
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  console.log(`Converted ${converted} order(s).`);
+}
+
+async function migrate(options) {
+  await migrateOrders(options);
+  await migrateCollection("coupons", couponChanges, options);
+  await migrateCollection("promotions", promotionChanges, options);
+}
+
+mongoose
+  .connect(process.env.MONGODB_URI)
+  .then(() => migrate({ dryRun: process.argv.includes("--dry-run") }))
+  .then(() => mongoose.disconnect())
+  .catch(async (err) => {
+    console.error("Migration failed:", err);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
@@ -6,13 +6,35 @@ var bodyParser = require('body-parser')
 // const swaggerUi = require('swagger-ui-express')
 // const swaggerFile = require('./swagger_output.json')
 const { specs, swaggerUi } = require('./swagger');
+const { startSagaRecovery } = require('./Utils/saga');
+const { startEventPublisher } = require('./Utils/eventPublisher');
+const { startEventConsumer } = require('./Utils/eventConsumer');
+const { startOrderArchiver } = require('./Utils/orderArchiver');
+const { startNotificationConsumer } = require('./Utils/notificationConsumer');
+const { startNotificationRetries } = require('./Utils/notifications');
+const { startAppointmentReminders } = require('./Utils/appointmentReminders');
+const { startWebhookConsumer } = require('./Utils/webhookConsumer');
+const { startWebhookDispatcher } = require('./Utils/storeWebhooks');
+const { assertProviderConfigured } = require('./Utils/paymentProviders');
 
 require('dotenv').config();
 
+// Refuse to start without a payment provider rather than fail on the first payment
+assertProviderConfigured();
+
 const uri = process.env.MONGODB_URI;
 mongoose.Promise = global.Promise;
-mongoose.connect(uri).then(() => { 
+mongoose.connect(uri).then(async () => { 
     console.log("Successfully connected to MongoDB.");
+    startSagaRecovery();
+    startEventPublisher();
+    startEventConsumer();
+    startOrderArchiver();
+    startNotificationConsumer();
+    startNotificationRetries();
+    startAppointmentReminders();
+    startWebhookConsumer();
+    startWebhookDispatcher();
 }).catch(err => {
     console.error("Connection error", err);
 }) 
@@ -20,7 +42,8 @@ mongoose.connect(uri).then(() => {
 // Middleware
 const app = express();
 app.use('/', express.static(path.join(__dirname, 'static')));
-app.use(bodyParser.json());
+// Keep the raw body around; payment webhook signatures are computed over it
+app.use(bodyParser.json({ verify: (req, res, buf) => { req.rawBody = buf } }));
 app.use(bodyParser.urlencoded({ extended: false })); //parse application/x-www-form-urlencoded
 
 // routes
@@ -10,7 +10,7 @@ const options = {
       description: 'A simple API with Swagger documentation',
     },
   },
-  apis: ['./Controllers/orderController.js'], // Point to the file that contains your route definitions
+  apis: ['./Controllers/*.js'], // Point to the files that contain your route definitions
 };
 
 const specs = swaggerJsdoc(options);
@@ -0,0 +1,139 @@
+"use strict";
+
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const AuditEntry = require("../Models/auditEntry");
+const { diffOrders, requestRoute, recordAudit } = require("../Utils/audit");
+
+describe("audit", () => {
+  afterEach(() => mock.restoreAll());
+
+  describe("diffOrders", () => {
+    it("lists changed fields as sorted dotted paths", () => {
+      const before = {
+        status: "pending",
+        notes: "ring twice",
+        items: [{ productId: "p1", quantity: 1, price: 500 }],
+      };
+      const after = {
+        status: "confirmed",
+        notes: "ring twice",
+        items: [
+          { productId: "p1", quantity: 2, price: 500 },
+          { productId: "p2", quantity: 1, price: 300 },
+        ],
+      };
+
+      assert.deepEqual(diffOrders(before, after), [
+        { field: "items.0.quantity", from: 1, to: 2 },
+        { field: "items.1.price", from: undefined, to: 300 },
+        { field: "items.1.productId", from: undefined, to: "p2" },
+        { field: "items.1.quantity", from: undefined, to: 1 },
+        { field: "status", from: "pending", to: "confirmed" },
+      ]);
+    });
+
+    it("leaves out bookkeeping fields and the ids of array entries", () => {
+      const before = {
+        _id: "o1",
+        __v: 0,
+        statusHistory: [{ status: "pending" }],
+        items: [{ _id: new mongoose.Types.ObjectId(), quantity: 1 }],
+      };
+      const after = {
+        _id: "o1",
+        __v: 1,
+        statusHistory: [{ status: "pending" }, { status: "confirmed" }],
+        items: [{ _id: new mongoose.Types.ObjectId(), quantity: 1 }],
+      };
+
+      assert.deepEqual(diffOrders(before, after), []);
+    });
+
+    it("compares dates and ObjectIds by value", () => {
+      const storeId = new mongoose.Types.ObjectId();
+      const otherStore = new mongoose.Types.ObjectId();
+      const before = {
+        store: { _id: storeId },
+        appointmentDate: new Date("2030-01-07T10:00:00Z"),
+      };
+
+      assert.deepEqual(
+        diffOrders(before, {
+          store: { _id: new mongoose.Types.ObjectId(String(storeId)) },
+          appointmentDate: new Date("2030-01-07T10:00:00Z"),
+        }),
+        []
+      );
+      assert.deepEqual(
+        diffOrders(before, {
+          store: { _id: otherStore },
+          appointmentDate: new Date("2030-01-07T11:00:00Z"),
+        }),
+        [
+          {
+            field: "appointmentDate",
+            from: "2030-01-07T10:00:00.000Z",
+            to: "2030-01-07T11:00:00.000Z",
+          },
+          { field: "store._id", from: String(storeId), to: String(otherStore) },
+        ]
+      );
+    });
+
+    it("records arrays that become empty", () => {
+      assert.deepEqual(diffOrders({ tags: ["vip"] }, { tags: [] }), [
+        { field: "tags", from: undefined, to: [] },
+        { field: "tags.0", from: "vip", to: undefined },
+      ]);
+    });
+
+    it("diffs created and deleted orders against nothing", () => {
+      assert.deepEqual(diffOrders(null, { status: "pending" }), [
+        { field: "status", from: undefined, to: "pending" },
+      ]);
+      assert.deepEqual(diffOrders({ status: "paid" }, undefined), [
+        { field: "status", from: "paid", to: undefined },
+      ]);
+    });
+
+    it("reads documents through toObject", () => {
+      const doc = (status) => ({ toObject: () => ({ status }) });
+
+      assert.deepEqual(diffOrders(doc("paid"), doc("fulfilled")), [
+        { field: "status", from: "paid", to: "fulfilled" },
+      ]);
+    });
+  });
+
+  it("describes a request by its method and path", () => {
+    assert.equal(
+      requestRoute({ method: "PATCH", originalUrl: "/order/42?force=1" }),
+      "PATCH /order/42"
+    );
+  });
+
+  it("stores an entry in the caller's session", async () => {
+    const create = mock.method(AuditEntry, "create", async () => []);
+    const session = {};
+    const orderId = new mongoose.Types.ObjectId();
+
+    await recordAudit(
+      "updated",
+      {
+        before: { _id: orderId, notes: "a" },
+        after: { _id: orderId, notes: "b" },
+        actor: { id: "u1", role: "admin" },
+        route: "PATCH /order/1",
+      },
+      session
+    );
+
+    const [[entry], options] = create.mock.calls[0].arguments;
+    assert.equal(entry.orderId, orderId);
+    assert.equal(entry.action, "updated");
+    assert.deepEqual(entry.changes, [{ field: "notes", from: "a", to: "b" }]);
+    assert.equal(options.session, session);
+  });
+});
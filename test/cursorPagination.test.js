@@ -0,0 +1,209 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const {
+  encodeCursor,
+  decodeCursor,
+  paginateWithCursor,
+} = require("../Utils/cursorPagination");
+const { HttpError } = require("../Utils/httpError");
+
+// Comparable form of a Date or ObjectId; ObjectId hex strings sort like the ids
+const key = (value) =>
+  value instanceof Date ? value.getTime() : String(value);
+
+function matches(doc, query) {
+  return Object.entries(query).every(([field, condition]) => {
+    if (field === "$and") return condition.every((q) => matches(doc, q));
+    if (field === "$or") return condition.some((q) => matches(doc, q));
+    if (condition && condition.$gt !== undefined) {
+      return key(doc[field]) > key(condition.$gt);
+    }
+    if (condition && condition.$lt !== undefined) {
+      return key(doc[field]) < key(condition.$lt);
+    }
+    return key(doc[field]) === key(condition);
+  });
+}
+
+// Just enough of a Mongoose model for paginateWithCursor, over an array
+function fakeModel(docs) {
+  const calls = { options: [] };
+  const query = (result) => ({
+    setOptions(options) {
+      calls.options.push(options);
+      return this;
+    },
+    sort(sort) {
+      const order = sort.createdAt;
+      result.sort((a, b) => {
+        const byDate = key(a.createdAt) - key(b.createdAt);
+        if (byDate !== 0) return byDate * order;
+        return key(a._id) < key(b._id) ? -order : order;
+      });
+      return this;
+    },
+    limit(limit) {
+      return Promise.resolve(result.slice(0, limit));
+    },
+    then(resolve, reject) {
+      return Promise.resolve(result).then(resolve, reject);
+    },
+  });
+
+  return {
+    calls,
+    find: (filter) => query(docs.filter((doc) => matches(doc, filter))),
+    countDocuments: (filter) =>
+      query(docs.filter((doc) => matches(doc, filter)).length),
+  };
+}
+
+// Seven orders, the last three sharing a createdAt so _id breaks the tie
+function orders() {
+  return Array.from({ length: 7 }, (_, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    createdAt: new Date(Date.UTC(2024, 0, Math.min(index, 4) + 1)),
+    status: index % 2 ? "paid" : "pending",
+  }));
+}
+
+const ids = (docs) => docs.map((doc) => String(doc._id));
+
+describe("cursorPagination", () => {
+  describe("cursors", () => {
+    it("round-trips the boundary document and direction", () => {
+      const doc = {
+        _id: new mongoose.Types.ObjectId(),
+        createdAt: new Date("2024-03-01T10:00:00.000Z"),
+      };
+      const decoded = decodeCursor(encodeCursor(doc, "prev"));
+
+      assert.equal(String(decoded._id), String(doc._id));
+      assert.equal(decoded.createdAt.getTime(), doc.createdAt.getTime());
+      assert.equal(decoded.direction, "prev");
+    });
+
+    it("rejects tampered cursors with a 400", () => {
+      const forged = (payload) =>
+        Buffer.from(JSON.stringify(payload)).toString("base64url");
+      const id = String(new mongoose.Types.ObjectId());
+
+      for (const cursor of [
+        "not-a-cursor",
+        forged({ c: "yesterday", i: id, d: "next" }),
+        forged({ c: "2024-01-01", i: "123", d: "next" }),
+        forged({ c: "2024-01-01", i: id, d: "sideways" }),
+      ]) {
+        assert.throws(
+          () => decodeCursor(cursor),
+          (error) =>
+            error instanceof HttpError &&
+            error.status === 400 &&
+            error.message === "Invalid cursor"
+        );
+      }
+    });
+  });
+
+  describe("paginateWithCursor", () => {
+    it("walks every page forwards and back without gaps or repeats", async () => {
+      const docs = orders();
+      const Model = fakeModel(docs);
+      const newestFirst = ids(
+        [...docs].sort(
+          (a, b) =>
+            key(b.createdAt) - key(a.createdAt) ||
+            (key(a._id) < key(b._id) ? 1 : -1)
+        )
+      );
+
+      const pages = [];
+      let result = await paginateWithCursor(Model, {}, { limit: 3 });
+      assert.equal(result.pagination.prevCursor, null);
+      pages.push(result);
+      while (result.pagination.nextCursor) {
+        result = await paginateWithCursor(
+          Model,
+          {},
+          { limit: 3, cursor: result.pagination.nextCursor }
+        );
+        pages.push(result);
+      }
+
+      assert.deepEqual(
+        pages.map((page) => page.docs.length),
+        [3, 3, 1]
+      );
+      assert.deepEqual(
+        pages.flatMap((page) => ids(page.docs)),
+        newestFirst
+      );
+
+      const back = await paginateWithCursor(
+        Model,
+        {},
+        { limit: 3, cursor: pages[2].pagination.prevCursor }
+      );
+      assert.deepEqual(ids(back.docs), ids(pages[1].docs));
+
+      const first = await paginateWithCursor(
+        Model,
+        {},
+        { limit: 3, cursor: back.pagination.prevCursor }
+      );
+      assert.deepEqual(ids(first.docs), ids(pages[0].docs));
+      assert.equal(first.pagination.prevCursor, null);
+      assert.ok(first.pagination.nextCursor);
+    });
+
+    it("reads oldest first when ascending", async () => {
+      const docs = orders();
+      const { docs: page } = await paginateWithCursor(
+        fakeModel(docs),
+        {},
+        { limit: 2, ascending: true }
+      );
+
+      assert.deepEqual(ids(page), ids(docs.slice(0, 2)));
+    });
+
+    it("applies the filter and only counts when asked", async () => {
+      const Model = fakeModel(orders());
+      const queryOptions = { includeDeleted: true };
+
+      const plain = await paginateWithCursor(
+        Model,
+        { status: "paid" },
+        { limit: 10 }
+      );
+      assert.equal(plain.docs.length, 3);
+      assert.ok(plain.docs.every((doc) => doc.status === "paid"));
+      assert.equal("totalOrders" in plain.pagination, false);
+      assert.equal(plain.pagination.nextCursor, null);
+
+      const counted = await paginateWithCursor(
+        Model,
+        { status: "paid" },
+        { limit: 1, includeTotal: true, queryOptions }
+      );
+      assert.equal(counted.docs.length, 1);
+      assert.equal(counted.pagination.totalOrders, 3);
+      assert.deepEqual(Model.calls.options.slice(-2), [
+        queryOptions,
+        queryOptions,
+      ]);
+    });
+
+    it("returns an empty page without cursors", async () => {
+      const result = await paginateWithCursor(fakeModel([]), {}, { limit: 5 });
+
+      assert.deepEqual(result, {
+        docs: [],
+        pagination: { limit: 5, nextCursor: null, prevCursor: null },
+      });
+    });
+  });
+});
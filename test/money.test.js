@@ -0,0 +1,108 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  toCents,
+  fromCents,
+  orderAmount,
+  percentOf,
+  formatMoney,
+  moneyToJSON,
+} = require("../Utils/money");
+
+describe("money", () => {
+  describe("toCents", () => {
+    it("converts major units to whole cents", () => {
+      assert.equal(toCents(12.34), 1234);
+      assert.equal(toCents("12.5"), 1250);
+      assert.equal(toCents(0), 0);
+      assert.equal(toCents(-3.2), -320);
+    });
+
+    it("rounds away binary noise instead of truncating it", () => {
+      assert.equal(toCents(1.005), 101);
+      assert.equal(toCents(0.1 + 0.2), 30);
+      assert.equal(toCents(19.99), 1999);
+    });
+
+    it("passes missing amounts through", () => {
+      assert.equal(toCents(undefined), undefined);
+      assert.equal(toCents(null), null);
+    });
+
+    it("rejects amounts that are not numbers", () => {
+      assert.throws(() => toCents("twelve"), /Invalid amount of money/);
+      assert.throws(() => toCents(Infinity), /Invalid amount of money/);
+    });
+  });
+
+  it("converts cents back to major units", () => {
+    assert.equal(fromCents(1234), 12.34);
+    assert.equal(fromCents(0), 0);
+    assert.equal(fromCents(null), null);
+    assert.equal(fromCents(undefined), undefined);
+  });
+
+  it("reads legacy orders without a currency as major units", () => {
+    assert.equal(orderAmount({ currency: "EUR" }, 1234), 12.34);
+    assert.equal(orderAmount({}, 12.34), 12.34);
+  });
+
+  it("rounds percentages to the nearest cent", () => {
+    assert.equal(percentOf(999, 10), 100);
+    assert.equal(percentOf(1234, 50), 617);
+    assert.equal(percentOf(1000, 0), 0);
+  });
+
+  it("formats amounts for documents", () => {
+    assert.equal(formatMoney(123456), "1234,56 €");
+    assert.equal(formatMoney(undefined), "0,00 €");
+    assert.equal(formatMoney(5, "USD", "en-US"), "$0.05");
+  });
+
+  describe("moneyToJSON", () => {
+    it("converts the listed paths, through arrays", () => {
+      const transform = moneyToJSON({
+        total: true,
+        "items.price": true,
+        "payments.refunds.amount": true,
+      });
+      const ret = {
+        total: 2500,
+        quantity: 2,
+        items: [{ price: 1000, quantity: 2 }, { price: 500 }],
+        payments: [{ refunds: [{ amount: 250 }, { amount: null }] }],
+      };
+
+      assert.equal(transform(null, ret), ret);
+      assert.deepEqual(ret, {
+        total: 25,
+        quantity: 2,
+        items: [{ price: 10, quantity: 2 }, { price: 5 }],
+        payments: [{ refunds: [{ amount: 2.5 }, { amount: null }] }],
+      });
+    });
+
+    it("lets a path decide per subdocument whether it holds money", () => {
+      const transform = moneyToJSON({
+        "coupon.value": (coupon) => coupon.type === "fixed",
+      });
+
+      assert.deepEqual(
+        transform(null, { coupon: { type: "fixed", value: 500 } }),
+        { coupon: { type: "fixed", value: 5 } }
+      );
+      assert.deepEqual(
+        transform(null, { coupon: { type: "percentage", value: 10 } }),
+        { coupon: { type: "percentage", value: 10 } }
+      );
+    });
+
+    it("ignores paths missing from the document", () => {
+      const transform = moneyToJSON({ "coupon.amount": true, total: true });
+
+      assert.deepEqual(transform(null, { coupon: null }), { coupon: null });
+    });
+  });
+});
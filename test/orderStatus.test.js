@@ -0,0 +1,77 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  STATUSES,
+  TRANSITIONS,
+  EDITABLE_FIELDS,
+  isValidStatus,
+  canTransition,
+  parseStatusFilter,
+} = require("../Utils/orderStatus");
+const { HttpError } = require("../Utils/httpError");
+
+describe("orderStatus", () => {
+  it("follows the order lifecycle", () => {
+    assert.ok(canTransition("pending", "confirmed"));
+    assert.ok(canTransition("pending", "cancelled"));
+    assert.ok(canTransition("confirmed", "paid"));
+    assert.ok(canTransition("paid", "fulfilled"));
+    assert.ok(canTransition("fulfilled", "refunded"));
+  });
+
+  it("refuses skipped, backward and unknown transitions", () => {
+    assert.equal(canTransition("pending", "paid"), false);
+    assert.equal(canTransition("paid", "pending"), false);
+    assert.equal(canTransition("paid", "cancelled"), false);
+    assert.equal(canTransition("unknown", "pending"), false);
+  });
+
+  it("keeps final statuses final", () => {
+    for (const status of ["cancelled", "refunded"]) {
+      for (const to of STATUSES) assert.equal(canTransition(status, to), false);
+    }
+  });
+
+  it("only points transitions and editable fields at known statuses", () => {
+    for (const [from, targets] of Object.entries(TRANSITIONS)) {
+      assert.ok(isValidStatus(from));
+      for (const to of targets) assert.ok(isValidStatus(to));
+    }
+    assert.deepEqual(Object.keys(EDITABLE_FIELDS).sort(), [...STATUSES].sort());
+  });
+
+  it("only lets items change while the order is pending", () => {
+    for (const status of STATUSES) {
+      assert.equal(
+        EDITABLE_FIELDS[status].includes("items"),
+        status === "pending"
+      );
+    }
+  });
+
+  describe("parseStatusFilter", () => {
+    it("returns null without a filter", () => {
+      assert.equal(parseStatusFilter(undefined), null);
+      assert.equal(parseStatusFilter(""), null);
+    });
+
+    it("splits a comma separated list", () => {
+      assert.deepEqual(parseStatusFilter("paid, fulfilled,"), [
+        "paid",
+        "fulfilled",
+      ]);
+    });
+
+    it("rejects unknown statuses with a 400", () => {
+      assert.throws(
+        () => parseStatusFilter("paid,shipped"),
+        (error) =>
+          error instanceof HttpError &&
+          error.status === 400 &&
+          /shipped/.test(error.message)
+      );
+    });
+  });
+});
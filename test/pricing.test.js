@@ -0,0 +1,193 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { applyDiscountsAndTax } = require("../Utils/pricing");
+const { HttpError } = require("../Utils/httpError");
+
+const product = (price, quantity, extra = {}) => ({
+  productId: "p1",
+  price,
+  quantity,
+  ...extra,
+});
+const service = (price, extra = {}) => ({
+  serviceId: "s1",
+  price,
+  quantity: 1,
+  ...extra,
+});
+
+describe("applyDiscountsAndTax", () => {
+  const names = ["DEFAULT_VAT_RATE", "ORDER_CURRENCY"];
+  let saved;
+
+  beforeEach(() => {
+    saved = names.map((name) => process.env[name]);
+    names.forEach((name) => delete process.env[name]);
+  });
+
+  afterEach(() => {
+    names.forEach((name, index) => {
+      if (saved[index] === undefined) delete process.env[name];
+      else process.env[name] = saved[index];
+    });
+  });
+
+  it("reports the VAT included in prices without adding it", () => {
+    const priced = applyDiscountsAndTax([product(1230, 2)], {});
+
+    assert.equal(priced.subtotal, 2460);
+    assert.equal(priced.discount, 0);
+    assert.equal(priced.tax, 460);
+    assert.equal(priced.total, 2460);
+    assert.equal(priced.currency, "EUR");
+    assert.equal(priced.items[0].taxRate, 0.23);
+    assert.equal(priced.coupon, undefined);
+    assert.deepEqual(priced.promotions, []);
+  });
+
+  it("charges services once whatever the quantity", () => {
+    const priced = applyDiscountsAndTax([service(5000, { quantity: 3 })], {});
+
+    assert.equal(priced.subtotal, 5000);
+  });
+
+  it("uses category rates, then the configured default", () => {
+    process.env.DEFAULT_VAT_RATE = "0.13";
+    const priced = applyDiscountsAndTax(
+      [service(1060, { category: "books" }), service(1130)],
+      { rates: { books: 0.06 } }
+    );
+
+    assert.deepEqual(
+      priced.items.map((item) => [item.taxRate, item.tax]),
+      [
+        [0.06, 60],
+        [0.13, 130],
+      ]
+    );
+  });
+
+  it("gives each line its best promotion, capped at the line", () => {
+    const tenPercent = {
+      _id: "promo-all",
+      name: "10% off",
+      type: "percentage",
+      value: 10,
+    };
+    const productDeal = {
+      _id: "promo-p1",
+      name: "3 off",
+      type: "fixed",
+      value: 300,
+      productIds: ["p1"],
+    };
+    const hairDeal = {
+      _id: "promo-hair",
+      name: "Free cut",
+      type: "fixed",
+      value: 5000,
+      categories: ["hair"],
+    };
+
+    const priced = applyDiscountsAndTax(
+      [
+        product(1000, 2),
+        service(1000, { serviceId: "s2", category: "nails" }),
+        service(1000, { category: "hair" }),
+      ],
+      { promotions: [tenPercent, productDeal, hairDeal] }
+    );
+
+    assert.deepEqual(
+      priced.items.map((item) => item.discount),
+      [300, 100, 1000]
+    );
+    assert.equal(priced.discount, 1400);
+    assert.equal(priced.total, 3000 + 1000 - 1400);
+    assert.deepEqual(
+      priced.promotions.map((promotion) => [promotion.name, promotion.amount]),
+      [
+        ["3 off", 300],
+        ["10% off", 100],
+        ["Free cut", 1000],
+      ]
+    );
+  });
+
+  it("works out VAT on what is left after discounts", () => {
+    const priced = applyDiscountsAndTax([service(1230)], {
+      promotions: [{ _id: "p", type: "percentage", value: 10 }],
+    });
+
+    assert.equal(priced.items[0].total, 1107);
+    assert.equal(priced.items[0].tax, 207);
+  });
+
+  it("spreads a coupon over the lines so the shares add up", () => {
+    const priced = applyDiscountsAndTax(
+      [
+        service(333),
+        service(333, { serviceId: "s2" }),
+        service(334, { serviceId: "s3" }),
+      ],
+      {
+        coupon: {
+          _id: "c1",
+          code: "TENOFF",
+          type: "percentage",
+          value: 10,
+        },
+      }
+    );
+
+    assert.deepEqual(
+      priced.items.map((item) => item.discount),
+      [33, 33, 34]
+    );
+    assert.deepEqual(priced.coupon, {
+      couponId: "c1",
+      code: "TENOFF",
+      type: "percentage",
+      value: 10,
+      amount: 100,
+    });
+    assert.equal(priced.total, 900);
+  });
+
+  it("applies the coupon after promotions", () => {
+    const priced = applyDiscountsAndTax([service(2000)], {
+      promotions: [{ _id: "p", type: "fixed", value: 500 }],
+      coupon: { couponId: "c1", code: "HALF", type: "percentage", value: 50 },
+    });
+
+    assert.equal(priced.coupon.amount, 750);
+    assert.equal(priced.coupon.couponId, "c1");
+    assert.equal(priced.discount, 1250);
+    assert.equal(priced.total, 750);
+  });
+
+  it("refuses a coupon when the order is below its minimum", () => {
+    const coupon = {
+      _id: "c1",
+      code: "BIG",
+      type: "fixed",
+      value: 500,
+      minSubtotal: 5000,
+    };
+
+    assert.throws(
+      () =>
+        applyDiscountsAndTax([service(6000)], {
+          promotions: [{ _id: "p", type: "fixed", value: 1500 }],
+          coupon,
+        }),
+      (error) =>
+        error instanceof HttpError &&
+        error.status === 422 &&
+        error.errors[0].field === "couponCode"
+    );
+    assert.equal(applyDiscountsAndTax([service(5000)], { coupon }).total, 4500);
+  });
+});
@@ -0,0 +1,244 @@
+"use strict";
+
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const SlotBooking = require("../Models/slotBooking");
+const {
+  DEFAULT_SCHEDULE,
+  appointmentMinutes,
+  bookAppointment,
+  freeSlots,
+} = require("../Utils/scheduling");
+const { HttpError } = require("../Utils/httpError");
+
+const storeId = new mongoose.Types.ObjectId();
+const schedule = { ...DEFAULT_SCHEDULE, storeId };
+
+// 7 January 2030 is a Monday; Lisbon is on UTC in winter
+const MONDAY = "2030-01-07";
+
+function order(appointmentDate, items = [{ serviceId: "s1", duration: 45 }]) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    store: { _id: storeId },
+    appointmentDate,
+    items,
+  };
+}
+
+const unprocessable = (message) => (error) =>
+  error instanceof HttpError &&
+  error.status === 422 &&
+  message.test(error.message) &&
+  error.errors[0].field === "appointmentDate";
+
+// Stubs the SlotBooking queries bookAppointment runs
+function stubBookings({ held = [], create } = {}) {
+  return {
+    find: mock.method(SlotBooking, "find", () => ({ lean: async () => held })),
+    create: mock.method(
+      SlotBooking,
+      "create",
+      create ||
+        (async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }))
+    ),
+    deleteMany: mock.method(SlotBooking, "deleteMany", async () => ({})),
+  };
+}
+
+describe("scheduling", () => {
+  afterEach(() => mock.restoreAll());
+
+  describe("appointmentMinutes", () => {
+    it("adds up services and rounds up to whole slots", () => {
+      const items = [
+        { serviceId: "a", duration: 45 },
+        { serviceId: "b", duration: 20 },
+        { productId: "p", duration: 500 },
+      ];
+      assert.equal(appointmentMinutes(items, schedule), 90);
+    });
+
+    it("counts services without a duration as an hour", () => {
+      assert.equal(
+        appointmentMinutes([{ serviceId: "a" }], { slotMinutes: 25 }),
+        75
+      );
+    });
+
+    it("is zero for orders without services", () => {
+      assert.equal(appointmentMinutes([{ productId: "p" }], schedule), 0);
+    });
+  });
+
+  describe("bookAppointment", () => {
+    it("rejects times in the past before touching bookings", async () => {
+      const stubs = stubBookings();
+
+      await assert.rejects(
+        bookAppointment(order("2020-01-06T09:00:00Z"), schedule),
+        unprocessable(/future/)
+      );
+      assert.equal(stubs.find.mock.callCount(), 0);
+    });
+
+    it("rejects closed dates, closed days and times off the slot grid", async () => {
+      const stubs = stubBookings();
+      const closed = { ...schedule, closedDates: [MONDAY] };
+
+      await assert.rejects(
+        bookAppointment(order(`${MONDAY}T10:00:00Z`), closed),
+        unprocessable(/closed on 2030-01-07/)
+      );
+      for (const time of [
+        "2030-01-06T10:00:00Z", // Sunday
+        `${MONDAY}T08:30:00Z`, // before opening
+        `${MONDAY}T17:30:00Z`, // runs past closing
+        `${MONDAY}T10:15:00Z`, // between slots
+      ]) {
+        await assert.rejects(
+          bookAppointment(order(time), schedule),
+          unprocessable(/not an available slot/)
+        );
+      }
+      assert.equal(stubs.find.mock.callCount(), 0);
+    });
+
+    it("takes a seat in every slot and returns the end time", async () => {
+      const stubs = stubBookings();
+      const booked = order(`${MONDAY}T10:00:00Z`);
+
+      const end = await bookAppointment(booked, schedule);
+
+      assert.equal(end.toISOString(), `${MONDAY}T11:00:00.000Z`);
+      assert.deepEqual(
+        stubs.create.mock.calls.map((call) => call.arguments[0].slotStart),
+        [new Date(`${MONDAY}T10:00:00Z`), new Date(`${MONDAY}T10:30:00Z`)]
+      );
+      // Seats held outside the new time are given back
+      assert.deepEqual(stubs.deleteMany.mock.calls[0].arguments[0], {
+        orderId: booked._id,
+        slotStart: {
+          $nin: [
+            new Date(`${MONDAY}T10:00:00Z`),
+            new Date(`${MONDAY}T10:30:00Z`),
+          ],
+        },
+      });
+    });
+
+    it("keeps slots the order already holds", async () => {
+      const stubs = stubBookings({
+        held: [{ slotStart: new Date(`${MONDAY}T10:00:00Z`) }],
+      });
+
+      await bookAppointment(order(`${MONDAY}T10:00:00Z`), schedule);
+
+      assert.equal(stubs.create.mock.callCount(), 1);
+      assert.equal(
+        stubs.create.mock.calls[0].arguments[0].slotStart.toISOString(),
+        `${MONDAY}T10:30:00.000Z`
+      );
+    });
+
+    it("answers 409 and gives back new seats when a slot is full", async () => {
+      const firstId = new mongoose.Types.ObjectId();
+      const stubs = stubBookings({
+        create: async (doc) => {
+          if (doc.slotStart.getUTCMinutes() === 0) return { _id: firstId };
+          throw Object.assign(new Error("duplicate key"), { code: 11000 });
+        },
+      });
+
+      await assert.rejects(
+        bookAppointment(order(`${MONDAY}T10:00:00Z`), schedule),
+        (error) => error instanceof HttpError && error.status === 409
+      );
+      assert.equal(stubs.deleteMany.mock.callCount(), 1);
+      assert.deepEqual(stubs.deleteMany.mock.calls[0].arguments[0], {
+        _id: { $in: [firstId] },
+      });
+    });
+
+    it("restores a previous slot without checking opening hours", async () => {
+      const stubs = stubBookings();
+
+      await bookAppointment(order("2020-01-05T03:00:00Z"), schedule, {
+        restore: true,
+      });
+      assert.equal(stubs.create.mock.callCount(), 2);
+    });
+  });
+
+  describe("freeSlots", () => {
+    it("lists start times that fit, skipping full slots", async () => {
+      const aggregate = mock.method(SlotBooking, "aggregate", async () => [
+        { _id: new Date(`${MONDAY}T10:00:00Z`), count: 1 },
+      ]);
+      const shortDay = {
+        ...schedule,
+        openingHours: [{ day: 1, open: "09:00", close: "11:00" }],
+      };
+
+      const slots = await freeSlots(shortDay, MONDAY, 60);
+
+      assert.deepEqual(
+        slots.map((slot) => [slot.start.toISOString(), slot.end.toISOString()]),
+        [[`${MONDAY}T09:00:00.000Z`, `${MONDAY}T10:00:00.000Z`]]
+      );
+      const match = aggregate.mock.calls[0].arguments[0][0].$match;
+      assert.equal(String(match.storeId), String(storeId));
+      assert.deepEqual(match.slotStart, {
+        $gte: new Date(`${MONDAY}T00:00:00Z`),
+        $lt: new Date("2030-01-08T00:00:00Z"),
+      });
+    });
+
+    it("counts seats against the store's capacity", async () => {
+      mock.method(SlotBooking, "aggregate", async () => [
+        { _id: new Date(`${MONDAY}T09:00:00Z`), count: 1 },
+      ]);
+      const twoSeats = {
+        ...schedule,
+        capacity: 2,
+        openingHours: [{ day: 1, open: "09:00", close: "10:00" }],
+      };
+
+      assert.equal((await freeSlots(twoSeats, MONDAY, 60)).length, 1);
+    });
+
+    it("returns nothing on closed dates or closed days", async () => {
+      const aggregate = mock.method(SlotBooking, "aggregate", async () => []);
+
+      assert.deepEqual(
+        await freeSlots({ ...schedule, closedDates: [MONDAY] }, MONDAY, 30),
+        []
+      );
+      assert.equal(aggregate.mock.callCount(), 0);
+      assert.deepEqual(await freeSlots(schedule, "2030-01-06", 30), []);
+    });
+
+    it("follows the store's timezone across a DST change", async () => {
+      mock.method(SlotBooking, "aggregate", async () => []);
+      // Lisbon moves to UTC+1 early on Sunday 31 March 2030
+      const sunday = {
+        ...schedule,
+        openingHours: [{ day: 0, open: "09:00", close: "10:00" }],
+      };
+
+      const slots = await freeSlots(sunday, "2030-03-31", 30);
+
+      assert.deepEqual(
+        slots.map((slot) => slot.start.toISOString()),
+        ["2030-03-31T08:00:00.000Z", "2030-03-31T08:30:00.000Z"]
+      );
+    });
+
+    it("skips times that have already passed", async () => {
+      mock.method(SlotBooking, "aggregate", async () => []);
+
+      assert.deepEqual(await freeSlots(schedule, "2020-01-06", 30), []);
+    });
+  });
+});